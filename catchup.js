@@ -0,0 +1,96 @@
+// Catch-up (timeshift) URLs from M3U catchup attributes, following the
+// conventions Kodi's IPTV Simple client and TiviMate use:
+//   default   - catchup-source is the full URL template
+//   append    - catchup-source is appended to the live URL
+//   shift     - utc/lutc query parameters added to the live URL
+//   flussonic - archive path derived from the live URL
+
+const MAX_CATCHUP_DAYS = 7;
+
+function parseCatchup(type, days, source) {
+  if (!type && !source) return null;
+
+  const catchupType = String(type || 'default').toLowerCase();
+  const catchupDays = Math.min(parseInt(days) || 1, MAX_CATCHUP_DAYS);
+
+  return { type: catchupType === 'fs' ? 'flussonic' : catchupType, days: catchupDays, source: source || null };
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Substitute {utc}, ${start}, {duration:60}, {Y}-{m}-{d} etc. Times are unix
+// seconds; date parts are UTC.
+function expandTemplate(template, programme, now = Date.now()) {
+  const start = Math.floor(programme.start / 1000);
+  const end = Math.floor(programme.stop / 1000);
+  const current = Math.floor(now / 1000);
+  const date = new Date(programme.start);
+
+  const values = {
+    utc: start,
+    start: start,
+    utcend: end,
+    end: end,
+    lutc: current,
+    now: current,
+    timestamp: current,
+    duration: end - start,
+    offset: current - start,
+    Y: date.getUTCFullYear(),
+    m: pad(date.getUTCMonth() + 1),
+    d: pad(date.getUTCDate()),
+    H: pad(date.getUTCHours()),
+    M: pad(date.getUTCMinutes()),
+    S: pad(date.getUTCSeconds())
+  };
+
+  return template.replace(/\$?\{(\w+)(?::(\d+))?\}/g, (match, name, divider) => {
+    if (!(name in values)) return match;
+    return divider ? Math.floor(values[name] / parseInt(divider)) : values[name];
+  });
+}
+
+function buildFlussonicUrl(streamUrl) {
+  const match = streamUrl.match(/^(https?:\/\/[^/]+)\/(.*)\/([^/]*)(mpegts|\.m3u8)(\?.*)?$/);
+  if (!match) return null;
+
+  const [, host, channel, file, type, query = ''] = match;
+
+  if (type === 'mpegts') {
+    return `${host}/${channel}/timeshift_abs-{utc}.ts${query}`;
+  }
+
+  return `${host}/${channel}/${file || 'index'}-{utc}-{duration}.m3u8${query}`;
+}
+
+// URL that plays `programme` from the archive, or null when the channel's
+// catch-up settings can't produce one
+function buildCatchupUrl(streamUrl, catchup, programme, now = Date.now()) {
+  if (!catchup || !programme) return null;
+
+  let template = null;
+
+  switch (catchup.type) {
+    case 'default':
+      template = catchup.source;
+      break;
+    case 'append':
+      template = catchup.source ? streamUrl + catchup.source : null;
+      break;
+    case 'shift':
+    case 'timeshift':
+      template = `${streamUrl}${streamUrl.includes('?') ? '&' : '?'}utc={utc}&lutc={lutc}`;
+      break;
+    case 'flussonic':
+      template = buildFlussonicUrl(streamUrl);
+      break;
+  }
+
+  return template ? expandTemplate(template, programme, now) : null;
+}
+
+module.exports = {
+  parseCatchup,
+  buildCatchupUrl,
+  expandTemplate
+};
@@ -0,0 +1,200 @@
+// User-defined channel rules, carried in the addon config and applied to the
+// loaded channel list in this order:
+//   1. include/exclude by group or name (case-insensitive regexes, matched
+//      against the playlist's own names)
+//   2. group renames (several groups renamed to one merges them)
+//   3. channel renames
+//   4. sort: playlist order, alphabetical or tvg-chno
+//   5. favourites pinned to the top, in the order listed
+
+const SORT_ORDERS = ['playlist', 'alphabetical', 'chno'];
+const MAX_PATTERN_LENGTH = 100;
+
+// Lines (or an array) to trimmed non-empty strings
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split('\n');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// "from = to" lines (or an object) to { from: to }
+function parseMapping(value) {
+  const map = {};
+
+  if (typeof value === 'string') {
+    for (const line of value.split('\n')) {
+      const separator = line.indexOf('=');
+      if (separator > 0) map[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+    }
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.assign(map, value);
+  }
+
+  for (const [from, to] of Object.entries(map)) {
+    if (!from || !to || typeof to !== 'string') delete map[from];
+  }
+
+  return map;
+}
+
+function normalizeRules(raw) {
+  const rules = raw && typeof raw === 'object' ? raw : {};
+
+  return {
+    include_groups: parseList(rules.include_groups),
+    exclude_groups: parseList(rules.exclude_groups),
+    include_names: parseList(rules.include_names),
+    exclude_names: parseList(rules.exclude_names),
+    group_renames: parseMapping(rules.group_renames),
+    channel_renames: parseMapping(rules.channel_renames),
+    favorites: parseList(rules.favorites),
+    sort: SORT_ORDERS.includes(rules.sort) ? rules.sort : 'playlist'
+  };
+}
+
+// Patterns run on the server against every channel, so anything that can
+// backtrack catastrophically is refused: back-references and quantified
+// groups that themselves contain a quantifier or alternation, e.g. (a+)+ or
+// (a|aa)*. Plain quantifiers, classes and top-level alternation are fine.
+function isSafePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) return false;
+
+  // One entry per open group: whether it contains a quantifier or '|'
+  const groups = [];
+  let lastGroupRisky = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let closedRisky = false;
+
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+      i++;
+    } else if (char === '[') {
+      // Skip the class; an escaped or leading ']' doesn't end it
+      i++;
+      if (pattern[i] === '^') i++;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      closedRisky = groups.pop() || false;
+    } else if (/[*+?{|]/.test(char)) {
+      // '?' right after '(' is group syntax, not a quantifier; an optional
+      // group is matched at most once, so only repeats can blow up
+      const quantifier = char !== '|' && !(char === '?' && pattern[i - 1] === '(');
+      if (quantifier && char !== '?' && lastGroupRisky) return false;
+      if (groups.length > 0 && (char === '|' || quantifier)) groups[groups.length - 1] = true;
+    }
+
+    lastGroupRisky = closedRisky;
+    // A risky group makes its enclosing group risky too
+    if (closedRisky && groups.length > 0) groups[groups.length - 1] = true;
+  }
+
+  return true;
+}
+
+function compilePatterns(patterns) {
+  return patterns.map(pattern => {
+    if (!isSafePattern(pattern)) {
+      console.log('⚠️ Ignoring channel rule pattern that is too long or too complex:', pattern.substring(0, MAX_PATTERN_LENGTH));
+      return null;
+    }
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (e) {
+      console.log('⚠️ Ignoring invalid channel rule pattern:', pattern);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// Lookup keyed by lower-cased names
+function lowerKeys(map) {
+  return new Map(Object.entries(map).map(([from, to]) => [from.toLowerCase(), to]));
+}
+
+function compareChno(a, b) {
+  if (a.chno == null) return b.chno == null ? 0 : 1;
+  if (b.chno == null) return -1;
+  return a.chno - b.chno;
+}
+
+// The include/exclude rules as a predicate on a channel, or null when they
+// keep everything. Loaders use it to drop channels as they are parsed.
+function createChannelFilter(rules) {
+  const includeGroups = compilePatterns(rules.include_groups);
+  const excludeGroups = compilePatterns(rules.exclude_groups);
+  const includeNames = compilePatterns(rules.include_names);
+  const excludeNames = compilePatterns(rules.exclude_names);
+
+  if (includeGroups.length + excludeGroups.length + includeNames.length + excludeNames.length === 0) return null;
+
+  return (channel) =>
+    (includeGroups.length === 0 || includeGroups.some(re => re.test(channel.group))) &&
+    !excludeGroups.some(re => re.test(channel.group)) &&
+    (includeNames.length === 0 || includeNames.some(re => re.test(channel.name))) &&
+    !excludeNames.some(re => re.test(channel.name));
+}
+
+// New channel list with the rules applied, plus the genres it contains.
+// Channels are copied before renaming since configs share loaded lists.
+function applyRules(channels, rules) {
+  const filter = createChannelFilter(rules);
+  const groupRenames = lowerKeys(rules.group_renames);
+  const channelRenames = lowerKeys(rules.channel_renames);
+
+  let result = filter ? channels.filter(filter) : channels;
+
+  if (groupRenames.size > 0 || channelRenames.size > 0) {
+    result = result.map(channel => ({
+      ...channel,
+      group: groupRenames.get(String(channel.group).toLowerCase()) || channel.group,
+      name: channelRenames.get(channel.name.toLowerCase()) || channel.name
+    }));
+  }
+
+  if (rules.sort === 'alphabetical') {
+    result = [...result].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }));
+  } else if (rules.sort === 'chno') {
+    result = [...result].sort(compareChno);
+  }
+
+  if (rules.favorites.length > 0) {
+    const favorites = rules.favorites.map(name => name.toLowerCase());
+    const ranked = result.map(channel => {
+      const index = favorites.findIndex(name => name === channel.name.toLowerCase() || name === channel.id.toLowerCase());
+      return { channel, rank: index === -1 ? favorites.length : index };
+    });
+
+    result = ranked
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ channel, rank }) => (rank < favorites.length ? { ...channel, favorite: true } : channel));
+  }
+
+  const genres = new Set(['Other Channels']);
+  result.forEach(channel => genres.add(channel.group));
+
+  return { channels: result, genres: Array.from(genres) };
+}
+
+// True when the rules leave the list as loaded
+function isDefaultRules(rules) {
+  return rules.sort === 'playlist' &&
+    ['include_groups', 'exclude_groups', 'include_names', 'exclude_names', 'favorites'].every(key => rules[key].length === 0) &&
+    Object.keys(rules.group_renames).length === 0 &&
+    Object.keys(rules.channel_renames).length === 0;
+}
+
+module.exports = {
+  normalizeRules,
+  createChannelFilter,
+  applyRules,
+  isDefaultRules,
+  parseList,
+  parseMapping
+};
@@ -0,0 +1,140 @@
+// Ranked catalog search. Channels are matched on their name, tvg-name, group
+// and the titles of the programmes on now and next. Text is accent-folded and
+// split into tokens; every query token has to match some field, exactly, as a
+// prefix, inside a longer word or within a typo or two, and channels are
+// ordered by the weighted quality of those matches.
+
+const FIELD_WEIGHTS = { name: 3, tvgName: 2.5, group: 1.5, now: 1.2, next: 0.8 };
+
+const MATCH_EXACT = 1;
+const MATCH_PREFIX = 0.8;
+const MATCH_INFIX = 0.6;
+const MATCH_TYPO = 0.5;
+
+function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const folded = foldText(text);
+  return folded ? folded.split(' ') : [];
+}
+
+// Optimal string alignment distance (Levenshtein plus swaps of two adjacent
+// letters, so "nwes" is one typo from "news"), giving up (returning max + 1)
+// once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Typos allowed for a query token: none for short words
+function typoBudget(token) {
+  if (token.length >= 8) return 2;
+  return token.length >= 4 ? 1 : 0;
+}
+
+function matchToken(queryToken, tokens) {
+  let best = 0;
+  const budget = typoBudget(queryToken);
+
+  for (const token of tokens) {
+    if (token === queryToken) return MATCH_EXACT;
+    if (token.startsWith(queryToken)) best = Math.max(best, MATCH_PREFIX);
+    else if (queryToken.length >= 3 && token.includes(queryToken)) best = Math.max(best, MATCH_INFIX);
+    else if (budget && best < MATCH_TYPO && editDistance(queryToken, token.substring(0, queryToken.length + budget), budget) <= budget) {
+      best = MATCH_TYPO;
+    }
+  }
+
+  return best;
+}
+
+// Name, tvg-name and group tokens only change with the playlist
+const channelTokens = new WeakMap();
+
+function getChannelTokens(channel) {
+  let tokens = channelTokens.get(channel);
+  if (!tokens) {
+    tokens = {
+      name: tokenize(channel.name),
+      tvgName: tokenize(channel.tvgName),
+      group: tokenize(channel.group)
+    };
+    channelTokens.set(channel, tokens);
+  }
+  return tokens;
+}
+
+// `getProgrammes(channel)` returns { now, next } programme titles (either may
+// be missing). Returns the matching channels, best first.
+function searchChannels(channels, query, getProgrammes = () => ({})) {
+  const queryTokens = tokenize(query);
+  if (queryTokens.length === 0) return [];
+
+  const foldedQuery = queryTokens.join(' ');
+  const results = [];
+
+  channels.forEach((channel, position) => {
+    const programmes = getProgrammes(channel) || {};
+    const fields = {
+      ...getChannelTokens(channel),
+      now: tokenize(programmes.now),
+      next: tokenize(programmes.next)
+    };
+
+    let score = 0;
+
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        best = Math.max(best, matchToken(queryToken, tokens) * FIELD_WEIGHTS[field]);
+      }
+      if (best === 0) return;
+      score += best;
+    }
+
+    // Whole-query matches on the name rank above scattered token matches
+    const name = fields.name.join(' ');
+    if (name === foldedQuery) score += 3;
+    else if (name.startsWith(foldedQuery)) score += 2;
+    else if (name.includes(foldedQuery)) score += 1;
+
+    results.push({ channel, score, position });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(result => result.channel);
+}
+
+module.exports = {
+  searchChannels
+};
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Addon configs travel in URLs as opaque tokens: the JSON is deflated and
+// sealed with AES-256-GCM, so a token can be neither read nor altered without
+// CONFIG_SECRET. Without the env var a per-boot secret is used, which breaks
+// every installed addon on restart, so production deployments must set it.
+//
+// With INSTANCE_PASSWORD set, tokens are only issued to callers who know the
+// password and carry a stamp of it; changing the password revokes them all.
+
+const CONFIG_SECRET = process.env.CONFIG_SECRET || crypto.randomBytes(32).toString('hex');
+const INSTANCE_PASSWORD = process.env.INSTANCE_PASSWORD || '';
+const KEY = crypto.createHash('sha256').update(CONFIG_SECRET).digest();
+const VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+if (!process.env.CONFIG_SECRET) {
+  console.log('⚠️ CONFIG_SECRET is not set; addon URLs will stop working after a restart');
+}
+
+function passwordStamp() {
+  return INSTANCE_PASSWORD
+    ? crypto.createHmac('sha256', KEY).update(INSTANCE_PASSWORD).digest('base64url').substring(0, 16)
+    : undefined;
+}
+
+function isPasswordRequired() {
+  return !!INSTANCE_PASSWORD;
+}
+
+function checkPassword(password) {
+  if (!INSTANCE_PASSWORD) return true;
+  const expected = crypto.createHash('sha256').update(INSTANCE_PASSWORD).digest();
+  const actual = crypto.createHash('sha256').update(String(password || '')).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sealConfig(userConfig) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', KEY, iv);
+  const payload = zlib.deflateRawSync(JSON.stringify({ c: userConfig, p: passwordStamp() }));
+  const encrypted = Buffer.concat([cipher.update(payload), cipher.final()]);
+
+  return Buffer.concat([Buffer.from([VERSION]), iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+}
+
+// The config inside `token`, or null when it isn't a valid token for this
+// server (wrong secret, tampered, or issued under another password)
+function openConfig(token) {
+  try {
+    const data = Buffer.from(String(token), 'base64url');
+    if (data.length <= 1 + IV_LENGTH + TAG_LENGTH || data[0] !== VERSION) return null;
+
+    const iv = data.subarray(1, 1 + IV_LENGTH);
+    const tag = data.subarray(1 + IV_LENGTH, 1 + IV_LENGTH + TAG_LENGTH);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', KEY, iv);
+    decipher.setAuthTag(tag);
+
+    const payload = Buffer.concat([decipher.update(data.subarray(1 + IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+    const sealed = JSON.parse(zlib.inflateRawSync(payload).toString('utf8'));
+
+    return sealed.p === passwordStamp() ? sealed.c : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  sealConfig,
+  openConfig,
+  isPasswordRequired,
+  checkPassword
+};
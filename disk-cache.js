@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON snapshots under DATA_DIR so parsed playlists and guides survive
+// restarts. Writes go to a temp file first and are renamed into place, so a
+// crash mid-write never leaves a truncated snapshot behind.
+
+class DiskCache {
+  constructor(dir) {
+    this.dir = dir;
+    this.ready = null;
+  }
+
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.promises.mkdir(this.dir, { recursive: true }).catch(error => {
+        console.error('❌ Cannot create data directory:', this.dir, error.message);
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  filePath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async read(name) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(name), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('⚠️ Ignoring unreadable snapshot', name, error.message);
+      return null;
+    }
+  }
+
+  async write(name, data) {
+    try {
+      await this.ensureDir();
+      const target = this.filePath(name);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(data));
+      await fs.promises.rename(temp, target);
+    } catch (error) {
+      console.error('❌ Snapshot write failed', name, error.message);
+    }
+  }
+
+  async remove(name) {
+    await fs.promises.unlink(this.filePath(name)).catch(() => {});
+  }
+
+  // Snapshot names starting with `prefix`, least recently written first
+  async list(prefix) {
+    try {
+      const files = (await fs.promises.readdir(this.dir))
+        .filter(file => file.startsWith(prefix) && file.endsWith('.json'));
+      const stats = await Promise.all(files.map(file => fs.promises.stat(path.join(this.dir, file))));
+
+      return files
+        .map((file, i) => ({ name: file.slice(0, -'.json'.length), mtime: stats[i].mtimeMs }))
+        .sort((a, b) => a.mtime - b.mtime)
+        .map(entry => entry.name);
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = new DiskCache(process.env.DATA_DIR || path.join(__dirname, 'data'));
@@ -0,0 +1,60 @@
+// Catalog rows built from the guide rather than the playlist: what's on now,
+// what starts soon, and what's on now by category. Each entry pairs a
+// channel with the programme its card shows.
+
+const SOON_MINUTES = 60;
+
+// XMLTV categories are free text; these buckets group the common spellings
+// (English plus the main European languages seen in provider guides)
+const EPG_CATEGORIES = [
+  { id: 'sports', name: '⚽ Sports', pattern: /sport|football|soccer|calcio|f[uú]tbol|basket|tennis|golf|rugby|cricket|hockey|baseball|boxing|racing|motor|formula|cycling/i },
+  { id: 'movies', name: '🎬 Movies', pattern: /movie|film|cinema|pel[ií]cula/i },
+  { id: 'news', name: '📰 News', pattern: /news|current affairs|notizie|nachrichten|noticias|actualit/i },
+  { id: 'kids', name: '🧸 Kids', pattern: /kids|child|children|animation|cartoon|bambini|kinder|infantil/i },
+  { id: 'documentaries', name: '🌍 Documentaries', pattern: /documentar|nature|history|science/i },
+  { id: 'music', name: '🎵 Music', pattern: /music|musica|musik|concert/i }
+];
+
+function hasCategory(programme, category) {
+  return !!programme.categories && programme.categories.some(name => category.pattern.test(name));
+}
+
+// `getEpgId(channel)` maps a playlist channel to its guide key (or null)
+function listOnNow(channels, epgIndex, getEpgId, now = Date.now()) {
+  const entries = [];
+
+  for (const channel of channels) {
+    const epgId = getEpgId(channel);
+    const programme = epgId && epgIndex.getCurrent(epgId, now);
+    if (programme) entries.push({ channel, programme });
+  }
+
+  return entries.sort((a, b) => a.programme.title.localeCompare(b.programme.title));
+}
+
+function listStartingSoon(channels, epgIndex, getEpgId, now = Date.now(), minutes = SOON_MINUTES) {
+  const until = now + minutes * 60 * 1000;
+  const entries = [];
+
+  for (const channel of channels) {
+    const epgId = getEpgId(channel);
+    const programme = epgId && epgIndex.getNext(epgId, now);
+    if (programme && programme.start > now && programme.start <= until) entries.push({ channel, programme });
+  }
+
+  return entries.sort((a, b) => a.programme.start - b.programme.start);
+}
+
+function listCategory(channels, epgIndex, getEpgId, categoryId, now = Date.now()) {
+  const category = EPG_CATEGORIES.find(c => c.id === categoryId);
+  if (!category) return [];
+
+  return listOnNow(channels, epgIndex, getEpgId, now).filter(entry => hasCategory(entry.programme, category));
+}
+
+module.exports = {
+  EPG_CATEGORIES,
+  listOnNow,
+  listStartingSoon,
+  listCategory
+};
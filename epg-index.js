@@ -0,0 +1,195 @@
+// Indexed EPG store: programmes grouped by normalised channel id and kept
+// sorted by start time, so "now"/"next" lookups are a binary search.
+
+function normalizeChannelId(channelId) {
+  return String(channelId || '').toLowerCase().replace(/[^\w.]/g, '');
+}
+
+// XMLTV timestamps are "YYYYMMDDhhmmss +hhmm". The offset is honoured and
+// the result is a UTC instant; a missing offset means UTC per the spec.
+function parseEPGDate(dateString) {
+  if (!dateString) return null;
+  const match = String(dateString).trim().match(/^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?\s*(?:([+-])(\d{2}):?(\d{2}))?/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, sign, offsetHours, offsetMinutes] = match;
+  let time = Date.UTC(+year, +month - 1, +day, +hour, +minute, +(second || 0));
+
+  if (sign) {
+    const offset = (+offsetHours * 60 + +offsetMinutes) * 60 * 1000;
+    time += sign === '+' ? -offset : offset;
+  }
+
+  return isNaN(time) ? null : new Date(time);
+}
+
+class EPGIndex {
+  constructor() {
+    this.channels = new Map();
+    this.programmes = new Map();
+    this.programmeCount = 0;
+    this.dirty = false;
+  }
+
+  addChannel(channel) {
+    const key = normalizeChannelId(channel.id);
+    if (!key) return;
+
+    const existing = this.channels.get(key);
+    if (existing) {
+      for (const name of channel.names) {
+        if (!existing.names.includes(name)) existing.names.push(name);
+      }
+      existing.icon = existing.icon || channel.icon;
+      return;
+    }
+
+    this.channels.set(key, { id: channel.id, names: [...channel.names], icon: channel.icon });
+  }
+
+  addProgramme(programme) {
+    const key = normalizeChannelId(programme.channel);
+    if (!key) return;
+
+    let list = this.programmes.get(key);
+    if (!list) {
+      list = [];
+      this.programmes.set(key, list);
+    }
+
+    list.push({
+      start: programme.start,
+      stop: programme.stop,
+      title: programme.title,
+      description: programme.description,
+      icon: programme.icon,
+      // Omitted when empty; most guide entries have none
+      categories: programme.categories && programme.categories.length ? programme.categories : undefined
+    });
+    this.programmeCount++;
+    this.dirty = true;
+  }
+
+  // Sort each channel's programmes and drop duplicates from overlapping
+  // sources (same start time on the same channel)
+  finalize() {
+    if (!this.dirty) return this;
+
+    let count = 0;
+    for (const [key, list] of this.programmes) {
+      list.sort((a, b) => a.start - b.start);
+      const unique = list.filter((p, i) => i === 0 || p.start !== list[i - 1].start);
+      this.programmes.set(key, unique);
+      count += unique.length;
+    }
+
+    this.programmeCount = count;
+    this.dirty = false;
+    return this;
+  }
+
+  getProgrammes(channelId) {
+    this.finalize();
+    return this.programmes.get(normalizeChannelId(channelId)) || [];
+  }
+
+  // Index of the last programme starting at or before `time`, or -1
+  findIndex(list, time) {
+    let low = 0;
+    let high = list.length - 1;
+    let found = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].start <= time) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  getCurrent(channelId, time = Date.now()) {
+    const list = this.getProgrammes(channelId);
+    const index = this.findIndex(list, time);
+    return index >= 0 && list[index].stop > time ? list[index] : null;
+  }
+
+  getNext(channelId, time = Date.now()) {
+    const list = this.getProgrammes(channelId);
+    return list[this.findIndex(list, time) + 1] || null;
+  }
+
+  // Programmes overlapping [from, to)
+  getRange(channelId, from, to) {
+    const list = this.getProgrammes(channelId);
+    const result = [];
+
+    for (let i = Math.max(0, this.findIndex(list, from)); i < list.length; i++) {
+      const program = list[i];
+      if (program.start >= to) break;
+      if (program.stop > from) result.push(program);
+    }
+
+    return result;
+  }
+
+  // Move another index's channels and programmes into this one. Lists are
+  // shared rather than copied; finalize() rebuilds them anyway.
+  merge(other) {
+    for (const channel of other.channels.values()) {
+      this.addChannel(channel);
+    }
+
+    for (const [key, list] of other.programmes) {
+      const existing = this.programmes.get(key);
+      this.programmes.set(key, existing ? existing.concat(list) : list);
+      this.programmeCount += list.length;
+    }
+
+    this.dirty = true;
+    return this;
+  }
+
+  hasChannel(channelId) {
+    return this.getProgrammes(channelId).length > 0;
+  }
+
+  get channelCount() {
+    return this.programmes.size;
+  }
+
+  // Plain-object snapshot for the disk cache
+  toJSON() {
+    this.finalize();
+    return {
+      channels: Array.from(this.channels.values()),
+      programmes: Array.from(this.programmes.entries())
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new EPGIndex();
+    if (!data) return index;
+
+    for (const channel of data.channels || []) {
+      index.addChannel(channel);
+    }
+
+    for (const [key, list] of data.programmes || []) {
+      index.programmes.set(key, list);
+      index.programmeCount += list.length;
+    }
+
+    return index;
+  }
+}
+
+module.exports = {
+  EPGIndex,
+  normalizeChannelId,
+  parseEPGDate
+};
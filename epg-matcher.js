@@ -0,0 +1,121 @@
+const { normalizeChannelId } = require('./epg-index');
+
+// Maps playlist channels to XMLTV channels. Tried in order:
+//   override     - the config's epg_map, keyed by channel name or tvg-id
+//   tvg-id       - exact id match (after normalizeChannelId)
+//   display-name - tvg-name or channel name against <display-name> entries
+//   fuzzy        - names with quality tags, country prefixes, brackets and
+//                  punctuation stripped, compared to display names and ids
+
+const QUALITY_WORDS = /\b(uhd|4k|fhd|hd|sd|hq|hevc|h\.?26[45]|\d{3,4}p|\d{2}fps|backup|raw|vip)\b/g;
+const COUNTRY_PREFIX = /^[a-z]{2,3}\s*[:|]\s*|^[a-z]{2}\s+-\s+/;
+const ID_COUNTRY_SUFFIX = /\.[a-z]{2}$/i;
+const NUMBER_WORDS = { one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9', ten: '10' };
+
+function foldName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\+/g, ' plus ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function fuzzyName(name) {
+  const words = foldName(name)
+    .replace(COUNTRY_PREFIX, '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(QUALITY_WORDS, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => NUMBER_WORDS[word] || word);
+
+  return words.join('');
+}
+
+// XMLTV ids are often "<name>.<country>", e.g. "BBCOne.uk"
+function fuzzyId(id) {
+  return fuzzyName(String(id || '').replace(ID_COUNTRY_SUFFIX, '').replace(/[._-]+/g, ' '));
+}
+
+class EPGMatcher {
+  constructor(epgIndex, overrides = {}) {
+    this.index = epgIndex;
+    this.byName = new Map();
+    this.byFuzzy = new Map();
+    this.matches = new Map();
+
+    for (const [key, channel] of epgIndex.channels) {
+      if (!epgIndex.hasChannel(key)) continue;
+      for (const name of channel.names) {
+        this.addKey(this.byName, foldName(name), key);
+        this.addKey(this.byFuzzy, fuzzyName(name), key);
+      }
+      this.addKey(this.byFuzzy, fuzzyId(channel.id), key);
+    }
+
+    // Guides without <channel> entries still have programme channel ids
+    for (const key of epgIndex.programmes.keys()) {
+      this.addKey(this.byFuzzy, fuzzyId(key), key);
+    }
+
+    this.overrides = new Map();
+    for (const [from, to] of Object.entries(overrides || {})) {
+      this.overrides.set(foldName(from), to);
+    }
+  }
+
+  // First key wins, so guide order decides between duplicate names
+  addKey(map, name, key) {
+    if (name && !map.has(name)) map.set(name, key);
+  }
+
+  // Guide channel key for `channel`, or null. Memoised per channel id; build a
+  // new matcher when the playlist or guide changes.
+  match(channel) {
+    if (!this.matches.has(channel.id)) {
+      this.matches.set(channel.id, this.findMatch(channel));
+    }
+    return this.matches.get(channel.id);
+  }
+
+  findMatch(channel) {
+    const override = this.overrides.get(foldName(channel.name)) ||
+      (channel.hasTvgId && this.overrides.get(foldName(channel.tvgId)));
+    if (override) {
+      const key = this.resolve(override);
+      if (key) return { key, method: 'override' };
+    }
+
+    if (channel.hasTvgId && this.index.hasChannel(channel.tvgId)) {
+      return { key: normalizeChannelId(channel.tvgId), method: 'tvg-id' };
+    }
+
+    const names = [channel.tvgName, channel.name].filter(Boolean);
+
+    for (const name of names) {
+      const key = this.byName.get(foldName(name));
+      if (key) return { key, method: 'display-name' };
+    }
+
+    for (const name of names) {
+      const key = this.byFuzzy.get(fuzzyName(name));
+      if (key) return { key, method: 'fuzzy' };
+    }
+
+    return null;
+  }
+
+  // Override targets may be a guide channel id or one of its display names
+  resolve(target) {
+    if (this.index.hasChannel(target)) return normalizeChannelId(target);
+    return this.byName.get(foldName(target)) || null;
+  }
+}
+
+module.exports = {
+  EPGMatcher,
+  fuzzyName
+};
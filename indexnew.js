@@ -1,7 +1,26 @@
 const express = require('express');
-const axios = require('axios');
-const { parseStringPromise } = require('xml2js');
+const crypto = require('crypto');
 const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { EPGIndex } = require('./epg-index');
+const { EPGMatcher } = require('./epg-matcher');
+const { parseXMLTVStream, DEFAULT_FUTURE_HOURS } = require('./xmltv-stream');
+const { isSourceSpec, openSource, openInline } = require('./source-loader');
+const { parsePlaylistStream } = require('./m3u-parser');
+const { loadSources, getStatusKey, getSourceStatuses, getSourceSummary } = require('./source-runner');
+const { buildProxyUrl, verifyUrl, proxyStream } = require('./stream-proxy');
+const { normalizeXtreamSource, loadXtreamChannels, getShortEpg, getXmltvUrl } = require('./xtream-client');
+const { buildCatchupUrl } = require('./catchup');
+const { normalizeRules, createChannelFilter, applyRules, isDefaultRules, parseList, parseMapping } = require('./channel-rules');
+const { searchChannels } = require('./channel-search');
+const { EPG_CATEGORIES, listOnNow, listStartingSoon, listCategory } = require('./epg-catalogs');
+const { probeChannels, applyHealth, compareStreams, isChannelDead } = require('./stream-prober');
+const { QUALITIES, detectQuality, probeVariants, getVariants, getQuality, describeVariant, compareQuality } = require('./stream-quality');
+const scheduler = require('./refresh-scheduler');
+const diskCache = require('./disk-cache');
+const { sealConfig, openConfig, isPasswordRequired, checkPassword } = require('./config-token');
+const { redact } = require('./redact');
+const { generateM3U, generateXMLTV } = require('./lineup-export');
 
 const app = express();
 app.use(express.json());
@@ -15,17 +34,46 @@ app.use((req, res, next) => {
   next();
 });
 
-// Simple cache with memory management
-const cache = {
-  channels: [],
-  genres: [],
-  epgData: null,
-  lastUpdate: null,
-  m3uUrl: null,
-  maxChannels: 10000,
-  epgLastUpdate: null,
-  lastEpgUrl: null
-};
+// Per-configuration caches, keyed by a hash of the normalised config.
+// Least recently used entries are dropped once MAX_CACHES is exceeded.
+const caches = new Map();
+const MAX_CACHES = 20;
+// Channels kept per config, counted after merging and channel rules, and
+// the most a config may keep from any one playlist or panel (its own
+// max_source_channels can only lower that)
+const MAX_CHANNELS = parseInt(process.env.MAX_CHANNELS) || 10000;
+const MAX_SOURCE_CHANNELS = parseInt(process.env.MAX_SOURCE_CHANNELS) || 50000;
+const EPG_UPDATE_INTERVAL = 6 * 60 * 60 * 1000;
+const SCHEDULE_HOURS = 48;
+const HEALTH_CHECK_INTERVAL = 60 * 60 * 1000;
+// How long a stream request waits for HLS variant probes before answering
+// with what is known, and how long such an answer may be cached
+const PROBE_WAIT = 2000;
+const PROBE_PENDING_MAX_AGE = 30;
+const CATALOG_MODES = ['single', 'group', 'source'];
+const MAX_EXPORT_PAST_HOURS = 7 * 24;
+const MAX_EXPORT_FUTURE_HOURS = 14 * 24;
+
+
+function createCache() {
+  return {
+    channels: [],
+    genres: [],
+    playlistEpgUrls: [],
+    epgIndex: null,
+    epgMatcher: null,
+    lastUpdate: null,
+    epgLastUpdate: null,
+    statusKeys: { sources: [], guides: [] },
+    // Last good data of each playlist, panel and guide by status key, used
+    // in place of a source that fails to refresh
+    lastLoaded: { sources: new Map(), guides: new Map() },
+    // Disk records of the playlists and guides in use; the rest are pruned
+    records: { sources: [], guides: [] },
+    started: false,
+    loading: null
+  };
+}
 
 // Base config
 const config = {
@@ -36,7 +84,7 @@ const config = {
     name: 'HY TV',
     description: 'Lightweight M3U playlist addon with EPG support',
     logo: 'https://raw.githubusercontent.com/charles-bukow/HY-TV/refs/heads/main/tv.png',
-    resources: ['stream', 'catalog'],
+    resources: ['stream', 'catalog', 'meta'],
     types: ['tv'],
     idPrefixes: ['tv'],
     catalogs: [{
@@ -52,293 +100,429 @@ const config = {
   }
 };
 
-// M3U Parser - Optimized
-async function parseM3U(urls) {
-  console.log('📡 Raw M3U URLs:', urls);
+// M3U Parser - Optimized. `urls` are comma-separated URLs or local paths
+// (see source-loader.js); `inlineText` is a pasted playlist, parsed last.
+// Channels failing `filter` are dropped while parsing and at most `limit`
+// are kept per source; `filterKey` identifies the filter in disk records.
+// Resolves to each source's data in order, null for those that failed, and
+// the names of their disk records.
+async function parseM3U(urls, inlineText, { filter = null, filterKey = '', limit = MAX_SOURCE_CHANNELS } = {}) {
+  console.log('📡 M3U URLs:', redact(urls));
+  const urlList = urls.split(',').map(u => u.trim()).filter(isSourceSpec);
+  if (inlineText && inlineText.trim()) urlList.push(null);
   
-  // Handle multiple levels of URL encoding
-  let decodedUrls = urls;
-  try {
-    while (decodedUrls.includes('%')) {
-      const newDecoded = decodeURIComponent(decodedUrls);
-      if (newDecoded === decodedUrls) break;
-      decodedUrls = newDecoded;
+  console.log('📋 Found URLs:', urlList.length);
+  
+  // Pasted playlists are part of the config and never recorded on disk
+  const sources = urlList.map(url => (url
+    ? { id: url, label: url }
+    : { id: `inline:${crypto.createHash('sha1').update(inlineText).digest('hex')}`, label: 'inline playlist', inline: true }
+  ));
+  
+  // Conditional loads against the last parse of each playlist; records are
+  // per filter and limit since only the kept channels are stored
+  const recordNames = sources.map((source, i) => (source.inline
+    ? null
+    : `source-${crypto.createHash('sha1').update(`${source.label}#${i}#${limit}#${filterKey}`).digest('hex')}`));
+  
+  const results = await loadSources('playlist', sources, async (source, signal, urlIndex, progress) => {
+    const url = source.label;
+    console.log(`📄 Processing URL ${urlIndex + 1}/${urlList.length}: ${redact(url).substring(0, 50)}...`);
+    
+    const recordName = recordNames[urlIndex];
+    const record = source.inline ? null : await diskCache.read(recordName);
+    const opened = source.inline ? openInline(inlineText) : await openSource(url, { previous: record, signal });
+    
+    if (opened.notModified) {
+      console.log(`♻️ Source ${urlIndex + 1} unchanged, reusing ${record.channels.length} parsed channels`);
+      return {
+        data: { channels: record.channels, genres: record.genres, epgUrls: record.epgUrls || [] },
+        stats: { channels: record.channels.length, notModified: true }
+      };
     }
-    decodedUrls = decodedUrls.replace(/&#38;/g, '&').replace(/&amp;/g, '&');
-    decodedUrls = decodedUrls.replace(/&(epg|language|update_interval|epg_enabled)=[^,]*/g, '');
-  } catch (e) {
-    console.log('URL decode error, using original:', e.message);
-    decodedUrls = urls;
-  }
+    
+    // Parsed as it downloads; only the channels are ever held in memory
+    const parsed = await parsePlaylistStream(opened.stream, {
+      sourceIndex: urlIndex,
+      limit,
+      filter,
+      detectQuality,
+      onProgress: progress
+    });
+    
+    console.log(`✅ Parsed ${parsed.channels.length} channels from source ${urlIndex + 1}`);
+    if (parsed.truncated) console.log(`⚠️ Source ${urlIndex + 1} has more than ${limit} channels, keeping the first ${limit}`);
+    
+    // Guides a remote playlist declares are only ever fetched over http(s)
+    const declaredEpgUrls = parsed.epgUrls.filter(epgUrl => /^https?:\/\//i.test(epgUrl));
+    const { etag, lastModified } = opened;
+    
+    if (etag || lastModified) {
+      await diskCache.write(recordName, {
+        url: redact(url),
+        etag,
+        lastModified,
+        fetchedAt: Date.now(),
+        channels: parsed.channels,
+        genres: parsed.genres,
+        epgUrls: declaredEpgUrls
+      });
+    }
+    
+    return {
+      data: { channels: parsed.channels, genres: parsed.genres, epgUrls: declaredEpgUrls },
+      stats: { channels: parsed.channels.length, bytes: parsed.bytes }
+    };
+  });
+  
+  return {
+    results,
+    statusKeys: sources.map(source => getStatusKey('playlist', source)),
+    recordNames: recordNames.filter(Boolean)
+  };
+}
+
+// All channels for a config: M3U playlists first, then Xtream panels, whose
+// source numbers continue after the playlists. The include/exclude rules and
+// the per-source limit apply while loading, so channels the config doesn't
+// want are never held in memory. A source that fails keeps its data from
+// `previous` (status key to data); `missing` counts failed sources that had
+// none.
+async function loadChannels(userConfig, previous = new Map()) {
+  const filter = createChannelFilter(userConfig.rules);
+  const limit = getSourceLimit(userConfig);
+  const playlists = userConfig.m3u || userConfig.m3u_inline
+    ? await parseM3U(userConfig.m3u, userConfig.m3u_inline, { filter, filterKey: getFilterKey(userConfig), limit })
+    : { results: [], statusKeys: [], recordNames: [] };
   
-  console.log('📡 Decoded M3U URLs:', decodedUrls);
-  const urlList = decodedUrls.split(',').map(u => u.trim()).filter(u => u && u.startsWith('http'));
+  const panels = userConfig.xtream.map(source => ({ id: `${source.server}|${source.username}`, label: source.server, source }));
+  const xtreamResults = await loadSources('xtream', panels, async ({ source }, signal, i) => {
+    const sourceIndex = playlists.results.length + i;
+    console.log(`📄 Processing Xtream source ${sourceIndex + 1}: ${redact(source.server)}`);
+    
+    const xtream = await loadXtreamChannels(source, sourceIndex, { xtreamIndex: i, detectQuality, signal, filter, limit });
+    console.log(`✅ Parsed ${xtream.channels.length} channels from Xtream source ${sourceIndex + 1}`);
+    if (xtream.truncated) console.log(`⚠️ Xtream source ${sourceIndex + 1} has more than ${limit} channels, keeping the first ${limit}`);
+    return { data: xtream, stats: { channels: xtream.channels.length } };
+  });
   
-  console.log('📋 Found URLs:', urlList.length);
+  const statusKeys = playlists.statusKeys.concat(panels.map(panel => getStatusKey('xtream', panel)));
+  const sources = new Map();
+  let failed = 0;
+  let missing = 0;
   
+  // Merged in source order whatever order the downloads finished in
   const channels = [];
   const genres = new Set(['Other Channels']);
+  const epgUrls = new Set();
   
-  for (let urlIndex = 0; urlIndex < urlList.length; urlIndex++) {
-    const url = urlList[urlIndex];
-    console.log(`📄 Processing URL ${urlIndex + 1}/${urlList.length}: ${url.substring(0, 50)}...`);
-    
-    try {
-      const response = await axios.get(url, { 
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        maxContentLength: 100 * 1024 * 1024,
-        maxBodyLength: 100 * 1024 * 1024
-      });
-      
-      const lines = response.data.split('\n');
-      let currentChannel = null;
-      let channelCount = 0;
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        if (line.startsWith('#EXTINF:')) {
-          const metadata = line.substring(8).trim();
-          
-          const nameMatch = metadata.match(/,(.*)$/);
-          const name = nameMatch ? nameMatch[1].trim() : 'Unknown';
-          
-          const tvgIdMatch = metadata.match(/tvg-id="([^"]+)"/);
-          const tvgId = tvgIdMatch ? tvgIdMatch[1] : name.toLowerCase().replace(/[^\w]/g, '_');
-          
-          const logoMatch = metadata.match(/tvg-logo="([^"]+)"/);
-          const logo = logoMatch ? logoMatch[1] : null;
-          
-          const groupMatch = metadata.match(/group-title="([^"]+)"/);
-          const group = groupMatch ? groupMatch[1] : 'Other Channels';
-          
-          genres.add(group);
-          
-          const uniqueId = `tv|${tvgId}_${urlIndex}`;
-          
-          currentChannel = {
-            id: uniqueId,
-            name: name,
-            tvgId: tvgId,
-            logo: logo,
-            group: group,
-            sourceIndex: urlIndex,
-            streamInfo: { urls: [], tvg: { id: tvgId, name: name } }
-          };
-        } else if (line && (line.startsWith('http') || line.startsWith('rtmp')) && currentChannel) {
-          currentChannel.streamInfo.urls.push({
-            url: line,
-            name: currentChannel.name,
-            headers: { 'User-Agent': 'Mozilla/5.0' }
-          });
-          channels.push(currentChannel);
-          channelCount++;
-          currentChannel = null;
-          
-          if (channels.length >= cache.maxChannels) {
-            console.log('⚠️ Hit channel limit, stopping...');
-            break;
-          }
-        }
+  playlists.results.concat(xtreamResults).forEach((result, i) => {
+    if (!result) {
+      failed++;
+      result = previous.get(statusKeys[i]);
+      if (!result) {
+        missing++;
+        return;
       }
-      
-      console.log(`✅ Parsed ${channelCount} channels from source ${urlIndex + 1}`);
-      
-    } catch (error) {
-      console.error(`❌ Error parsing M3U ${urlIndex + 1}:`, url.substring(0, 50), error.message);
+      console.log(`♻️ Source ${i + 1} failed, keeping its ${result.channels.length} previous channels`);
     }
     
-    if (global.gc) global.gc();
-  }
+    sources.set(statusKeys[i], result);
+    channels.push(...result.channels);
+    result.genres.forEach(genre => genres.add(genre));
+    (result.epgUrls || []).forEach(epgUrl => epgUrls.add(epgUrl));
+  });
   
   console.log(`🎯 Total channels: ${channels.length}, Genres: ${genres.size}`);
-  return { channels, genres: Array.from(genres) };
+  return {
+    channels,
+    genres: Array.from(genres),
+    epgUrls: Array.from(epgUrls),
+    statusKeys,
+    recordNames: playlists.recordNames,
+    sources,
+    failed,
+    missing
+  };
 }
 
-// EPG Parser - Optimized with better memory handling
-async function parseEPG(epgUrls) {
-  if (!epgUrls) return null;
-  
-  const urlList = epgUrls.split(',').map(u => u.trim()).filter(u => u.startsWith('http'));
-  
-  if (urlList.length === 0) return null;
-  
-  console.log(`📺 Found ${urlList.length} EPG URL(s) to process`);
+// Channels kept from each source: the config's own limit within the server's
+function getSourceLimit(userConfig) {
+  return Math.min(userConfig.max_source_channels || MAX_SOURCE_CHANNELS, MAX_SOURCE_CHANNELS);
+}
+
+// The rules that decide which channels are loaded, as a stable string
+function getFilterKey(userConfig) {
+  const { include_groups, exclude_groups, include_names, exclude_names } = userConfig.rules;
+  return JSON.stringify([include_groups, exclude_groups, include_names, exclude_names]);
+}
+
+// Configured guides plus each Xtream panel's xmltv.php. Without a configured
+// guide, the ones the playlists declare in their #EXTM3U headers are used.
+function getEpgUrls(userConfig, entry) {
+  const urls = userConfig.epg
+    ? (userConfig.epg_enabled ? [userConfig.epg] : [])
+    : (entry ? entry.playlistEpgUrls : []);
+  return urls.concat(userConfig.xtream.map(getXmltvUrl)).join(',');
+}
+
+// A stream's quality label: from its probed HLS variants when probing is on,
+// otherwise from the channel name
+function getStreamQuality(stream, userConfig) {
+  return userConfig.quality_probe || userConfig.quality_variants ? getQuality(stream) : stream.quality;
+}
+
+// A channel's streams in the order offered: working ones first, then the
+// preferred quality, then fastest. Indexes stay those of the playlist for
+// the proxy route.
+function orderStreams(channel, userConfig) {
+  const dead = (stream) => (stream.health && !stream.health.ok ? 1 : 0);
+
+  return channel.streamInfo.urls
+    .map((stream, index) => ({ stream, index }))
+    .sort((a, b) => dead(a.stream) - dead(b.stream) ||
+      compareQuality(getStreamQuality(a.stream, userConfig), getStreamQuality(b.stream, userConfig), userConfig.preferred_quality) ||
+      compareStreams(a.stream, b.stream));
+}
+
+// Streams with custom headers or DRM can't be played by the web player
+// directly; Stremio's local server applies proxyHeaders for us. Proxied
+// streams already carry their headers.
+function getStreamBehaviorHints(stream, proxied) {
+  const hasHeaders = !proxied && stream.headers && Object.keys(stream.headers).length > 0;
+  const hasLicense = stream.kodiProps && !!stream.kodiProps['inputstream.adaptive.license_type'];
   
-  let combinedEpgData = null;
+  if (!hasHeaders && !hasLicense) return undefined;
   
-  for (let i = 0; i < urlList.length; i++) {
-    const cleanUrl = urlList[i];
-    console.log(`📺 Loading EPG ${i + 1}/${urlList.length} from:`, cleanUrl);
+  const behaviorHints = { notWebReady: true };
+  if (hasHeaders) behaviorHints.proxyHeaders = { request: stream.headers };
+  return behaviorHints;
+}
+
+// Channel name reduced for duplicate matching: no quality tags, case or punctuation
+function normalizeChannelName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\b(4k|uhd|fhd|hd|sd|hevc|h265|2160p?|1080[pi]?|720p?|576[pi]?|480p?)\b/g, '')
+    .replace(/[^\w]+/g, ' ')
+    .trim();
+}
+
+// Group channels that share a tvg-id (or, without one, a normalised name)
+// into one entry whose stream list holds every source
+function mergeDuplicateChannels(channels) {
+  const merged = new Map();
+  const keysByName = new Map();
   
-    try {
-      const headResponse = await axios.head(cleanUrl, { timeout: 10000 }).catch(() => null);
-      const contentLength = headResponse ? parseInt(headResponse.headers['content-length'] || '0') : 0;
-      
-      if (contentLength > 100 * 1024 * 1024) {
-        console.log(`⚠️ EPG ${i + 1} file too large: ${Math.round(contentLength/1024/1024)}MB, skipping`);
-        continue;
-      }
-      
-      if (contentLength > 0) {
-        console.log(`📊 EPG ${i + 1} file size: ${Math.round(contentLength/1024/1024)}MB`);
-      }
-      
-      const response = await axios.get(cleanUrl, { 
-        responseType: 'stream',
-        timeout: 30000,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-        },
-        maxRedirects: 3,
-        validateStatus: (status) => status < 400
-      });
-      
-      const epgData = await new Promise((resolve, reject) => {
-        const chunks = [];
-        let totalSize = 0;
-        const maxSize = 50 * 1024 * 1024;
-        
-        let stream = response.data;
-        
-        if (cleanUrl.endsWith('.gz') || response.headers['content-encoding'] === 'gzip') {
-          console.log(`🗜️ Decompressing EPG ${i + 1}...`);
-          stream = stream.pipe(zlib.createGunzip());
-        }
-        
-        stream.on('data', (chunk) => {
-          totalSize += chunk.length;
-          if (totalSize > maxSize) {
-            console.log(`⚠️ EPG ${i + 1} too large, truncating...`);
-            stream.destroy();
-            return;
-          }
-          chunks.push(chunk);
-        });
-        
-        stream.on('end', async () => {
-          try {
-            if (chunks.length === 0) {
-              console.log(`❌ No EPG data received for ${i + 1}`);
-              resolve(null);
-              return;
-            }
-            
-            const xmlContent = Buffer.concat(chunks).toString();
-            console.log(`✅ EPG ${i + 1} loaded, size:`, Math.round(xmlContent.length/1024/1024) + 'MB');
-            
-            const parsed = await parseStringPromise(xmlContent, {
-              trim: true,
-              normalize: true,
-              explicitArray: false,
-              mergeAttrs: true,
-              ignoreAttrs: false
-            });
-            
-            chunks.length = 0;
-            if (global.gc) global.gc();
-            
-            const programCount = Array.isArray(parsed.tv?.programme) ? parsed.tv.programme.length : (parsed.tv?.programme ? 1 : 0);
-            console.log(`📊 EPG ${i + 1} programmes:`, programCount);
-            resolve(parsed);
-          } catch (parseError) {
-            console.error(`❌ EPG ${i + 1} parse error:`, parseError.message);
-            resolve(null);
-          }
-        });
-        
-        stream.on('error', (error) => {
-          console.error(`❌ EPG ${i + 1} stream error:`, error.message);
-          resolve(null);
-        });
-        
-        setTimeout(() => {
-          stream.destroy();
-          console.log(`❌ EPG ${i + 1} stream timeout`);
-          resolve(null);
-        }, 45000);
-      });
-      
-      if (epgData) {
-        if (!combinedEpgData) {
-          combinedEpgData = epgData;
-        } else {
-          const existingProgs = Array.isArray(combinedEpgData.tv?.programme) ? combinedEpgData.tv.programme : (combinedEpgData.tv?.programme ? [combinedEpgData.tv.programme] : []);
-          const newProgs = Array.isArray(epgData.tv?.programme) ? epgData.tv.programme : (epgData.tv?.programme ? [epgData.tv.programme] : []);
-          combinedEpgData.tv.programme = [...existingProgs, ...newProgs];
-        }
-      }
-      
-    } catch (error) {
-      console.error(`❌ EPG ${i + 1} parse error:`, error.message);
+  for (const channel of channels) {
+    const normalizedName = normalizeChannelName(channel.name);
+    const key = channel.hasTvgId
+      ? channel.tvgId.toLowerCase()
+      : keysByName.get(normalizedName) || normalizedName.replace(/ /g, '_') || channel.tvgId;
+    
+    if (normalizedName && !keysByName.has(normalizedName)) keysByName.set(normalizedName, key);
+    
+    const existing = merged.get(key);
+    
+    if (existing) {
+      existing.streamInfo.urls.push(...channel.streamInfo.urls);
+      existing.logo = existing.logo || channel.logo;
+      continue;
     }
+    
+    merged.set(key, {
+      ...channel,
+      id: `tv|${key}`,
+      streamInfo: { ...channel.streamInfo, urls: [...channel.streamInfo.urls] }
+    });
   }
   
-  if (combinedEpgData) {
-    const totalProgs = Array.isArray(combinedEpgData.tv?.programme) ? combinedEpgData.tv.programme.length : (combinedEpgData.tv?.programme ? 1 : 0);
-    console.log(`✅ Combined EPG loaded with ${totalProgs} total programmes`);
-  }
+  console.log(`🔗 Merged ${channels.length} entries into ${merged.size} channels`);
+  return Array.from(merged.values());
+}
+
+// "Source 1" or, for merged channels, "Sources 1, 3"
+function describeSources(channel) {
+  const sources = [...new Set(channel.streamInfo.urls.map(u => u.sourceIndex ?? channel.sourceIndex))];
+  return sources.length > 1
+    ? `Sources ${sources.map(i => i + 1).join(', ')}`
+    : `Source ${channel.sourceIndex + 1}`;
+}
+
+// The guides in comma-separated `epgUrls` as sources for loadSources(); the
+// window is part of the id since catch-up configs keep more past programmes
+function getGuideSources(epgUrls, options = {}) {
+  return String(epgUrls || '').split(',').map(u => u.trim()).filter(isSourceSpec)
+    .map(url => ({ id: `${url}#${JSON.stringify(options)}`, label: url }));
+}
+
+// Disk record of a guide's last parse, by its id from getGuideSources()
+function getGuideRecordName(guideId) {
+  return `epg-${crypto.createHash('sha1').update(guideId).digest('hex')}`;
+}
+
+// One index from the guides' own, in order; null when none has any data
+function mergeGuides(indexes) {
+  const loaded = indexes.filter(sourceIndex => sourceIndex.programmeCount > 0 || sourceIndex.channelCount > 0);
+  
+  if (loaded.length === 0) return null;
   
-  return combinedEpgData;
+  const index = new EPGIndex();
+  loaded.forEach(sourceIndex => index.merge(sourceIndex));
+  return index.finalize();
 }
 
-// Get current program
-function getCurrentProgram(channelId, epgData) {
-  if (!epgData || !epgData.tv || !epgData.tv.programme) return null;
+// EPG Parser - streams each guide into its own index, never buffering the
+// document, then merges them in the configured order. `options`
+// (pastHours/futureHours) widen the kept time window, e.g. for catch-up.
+// A guide that fails keeps its index from `previous` (record name to index);
+// `missing` counts failed guides that had none. Every parse is recorded on
+// disk, where config snapshots refer to it.
+async function parseEPG(epgUrls, options = {}, previous = new Map()) {
+  const guides = getGuideSources(epgUrls, options);
+  
+  if (guides.length === 0) return null;
   
-  const now = new Date();
-  const normalizedId = channelId.toLowerCase().replace(/[^\w.]/g, '');
+  console.log(`📺 Found ${guides.length} EPG URL(s) to process`);
   
-  const programmes = Array.isArray(epgData.tv.programme) ? epgData.tv.programme : [epgData.tv.programme];
+  const recordNames = guides.map(guide => getGuideRecordName(guide.id));
   
-  for (const program of programmes) {
-    if (!program.$) continue;
+  const indexes = await loadSources('guide', guides, async ({ label: cleanUrl }, signal, i, progress) => {
+    console.log(`📺 Loading EPG ${i + 1}/${guides.length} from:`, redact(cleanUrl));
     
-    const programChannelId = program.$.channel?.toLowerCase().replace(/[^\w.]/g, '');
+    // Conditional request against the last parse of this guide; the window
+    // is part of the name since catch-up configs keep more past programmes.
+    // The record only holds the window as of its parse, so once half of the
+    // future part has gone by the guide is parsed again even if unchanged.
+    const recordName = recordNames[i];
+    const record = await diskCache.read(recordName);
+    const maxAge = (options.futureHours ?? DEFAULT_FUTURE_HOURS) * 60 * 60 * 1000 / 2;
+    const current = record && Date.now() - record.fetchedAt < maxAge ? record : null;
+    const source = await openSource(cleanUrl, { previous: current, signal });
     
-    if (programChannelId === normalizedId) {
-      const start = parseEPGDate(program.$.start);
-      const stop = parseEPGDate(program.$.stop);
-      
-      if (start && stop && start <= now && stop >= now) {
-        return {
-          title: getTextContent(program.title),
-          description: getTextContent(program.desc),
-          start: start.toLocaleTimeString(),
-          stop: stop.toLocaleTimeString()
-        };
+    if (source.notModified) {
+      const sourceIndex = EPGIndex.fromJSON(record.epg);
+      console.log(`♻️ EPG ${i + 1} unchanged, reusing ${sourceIndex.programmeCount} parsed programmes`);
+      return { data: sourceIndex, stats: { programmes: sourceIndex.programmeCount, notModified: true } };
+    }
+    
+    const sourceIndex = new EPGIndex();
+    const stats = await parseXMLTVStream(source.stream, sourceIndex, { ...options, onProgress: progress });
+    
+    // A guide cut off mid-download is retried rather than kept half-read
+    if (stats.error) throw new Error(stats.error);
+    
+    console.log(`✅ EPG ${i + 1} loaded, size:`, Math.round(stats.bytes/1024/1024) + 'MB');
+    console.log(`📊 EPG ${i + 1} programmes: ${stats.programmes} (${stats.skipped} outside window)`);
+    
+    await diskCache.write(recordName, {
+      url: redact(cleanUrl),
+      etag: source.etag,
+      lastModified: source.lastModified,
+      fetchedAt: Date.now(),
+      epg: sourceIndex.toJSON()
+    });
+    
+    return { data: sourceIndex, stats: { programmes: stats.programmes, bytes: stats.bytes } };
+  });
+  
+  const loadedGuides = new Map();
+  let failed = 0;
+  let missing = 0;
+  
+  indexes.forEach((sourceIndex, i) => {
+    if (!sourceIndex) {
+      failed++;
+      sourceIndex = previous.get(recordNames[i]);
+      if (!sourceIndex) {
+        missing++;
+        return;
       }
+      console.log(`♻️ EPG ${i + 1} failed, keeping its ${sourceIndex.programmeCount} previous programmes`);
     }
-  }
-  return null;
+    loadedGuides.set(recordNames[i], sourceIndex);
+  });
+  
+  const index = mergeGuides(Array.from(loadedGuides.values()));
+  if (index) console.log(`✅ Combined EPG loaded with ${index.programmeCount} total programmes for ${index.channelCount} channels`);
+  
+  return { index, guides: loadedGuides, recordNames, failed, missing };
 }
 
-function parseEPGDate(dateString) {
-  if (!dateString) return null;
+// Get current program
+function getCurrentProgram(channelId, epgIndex, timeZone) {
+  const program = epgIndex.getCurrent(channelId);
+  
+  if (!program) return null;
+  
+  return {
+    title: program.title,
+    description: program.description,
+    start: formatTime(program.start, timeZone),
+    stop: formatTime(program.stop, timeZone)
+  };
+}
+
+// Render a UTC instant as a wall-clock time in the user's timezone
+function formatTime(time, timeZone) {
+  return new Date(time).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+}
+
+function isValidTimeZone(timeZone) {
   try {
-    const match = dateString.match(/^(\d{14})/);
-    if (!match) return null;
-    const d = match[1];
-    return new Date(
-      parseInt(d.substr(0,4)), parseInt(d.substr(4,2))-1, parseInt(d.substr(6,2)),
-      parseInt(d.substr(8,2)), parseInt(d.substr(10,2)), parseInt(d.substr(12,2))
-    );
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
   } catch (e) {
-    return null;
+    return false;
   }
 }
 
-function getTextContent(element) {
-  if (!element) return '';
-  if (Array.isArray(element) && element.length > 0) {
-    return typeof element[0] === 'string' ? element[0] : element[0]._ || '';
+// Current and upcoming programmes within the next `hours`, plus the last
+// `pastHours` for channels with catch-up
+function getSchedule(channelId, epgIndex, hours = SCHEDULE_HOURS, pastHours = 0) {
+  const now = Date.now();
+  return epgIndex.getRange(channelId, now - pastHours * 60 * 60 * 1000, now + hours * 60 * 60 * 1000);
+}
+
+// Guide match for a playlist channel (see epg-matcher.js), or null. The
+// matcher is rebuilt whenever the guide or the playlist is replaced.
+function getEpgMatch(cache, userConfig, channel) {
+  if (!cache.epgIndex) return null;
+  
+  if (!cache.epgMatcher || cache.epgMatcher.index !== cache.epgIndex) {
+    cache.epgMatcher = new EPGMatcher(cache.epgIndex, userConfig.epg_map);
   }
-  if (typeof element === 'string') return element;
-  if (element._) return element._;
-  return '';
+  
+  return cache.epgMatcher.match(channel);
+}
+
+function getEpgChannelId(cache, userConfig, channel) {
+  const match = getEpgMatch(cache, userConfig, channel);
+  return match ? match.key : null;
+}
+
+// The guide's own channel entry for a key, with its original XMLTV id
+function getGuideChannel(cache, epgId) {
+  return cache.epgIndex.channels.get(epgId) || { id: epgId, names: [], icon: null };
+}
+
+// The programme a catch-up video id points at: from the EPG index, or for
+// Xtream channels without guide data, the panel's short EPG
+async function findProgramme(cache, userConfig, channel, start) {
+  const time = start * 1000;
+  const epgId = getEpgChannelId(cache, userConfig, channel);
+  
+  if (epgId) {
+    const programme = cache.epgIndex.getRange(epgId, time, time + 1).find(p => p.start === time);
+    if (programme) return programme;
+  }
+  
+  if (channel.xtream) {
+    const programmes = await getShortEpg(userConfig.xtream[channel.xtream.index], channel.xtream.streamId);
+    return programmes.find(p => p.start === time) || null;
+  }
+  
+  return null;
 }
 
 // Parse update interval
@@ -352,13 +536,472 @@ function parseUpdateInterval(intervalStr) {
     return (hours * 60 + minutes) * 60 * 1000;
   }
   
-  return 2 * 60 * 60 * 1000;
+  return 2 * 60 * 60 * 1000;
+}
+
+// User config - carried in the addon path as base64url-encoded JSON
+function normalizeConfig(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const xtream = Array.isArray(raw.xtream) ? raw.xtream : (raw.xtream ? [raw.xtream] : []);
+
+  const userConfig = {
+    m3u: raw.m3u ? String(raw.m3u).trim() : '',
+    m3u_inline: raw.m3u_inline ? String(raw.m3u_inline).trim() : '',
+    xtream: xtream.map(normalizeXtreamSource).filter(Boolean),
+    epg: raw.epg ? String(raw.epg).trim() : '',
+    epg_enabled: raw.epg_enabled === true || raw.epg_enabled === 'true',
+    language: raw.language ? String(raw.language).trim() : 'English',
+    timezone: raw.timezone && isValidTimeZone(String(raw.timezone).trim()) ? String(raw.timezone).trim() : 'UTC',
+    update_interval: raw.update_interval ? String(raw.update_interval).trim() : '02:00',
+    dedupe: raw.dedupe === true || raw.dedupe === 'true',
+    proxy: raw.proxy === true || raw.proxy === 'true',
+    health_check: raw.health_check === true || raw.health_check === 'true',
+    hide_dead: raw.hide_dead === true || raw.hide_dead === 'true',
+    epg_map: parseMapping(raw.epg_map),
+    rules: normalizeRules(raw.rules),
+    catalog_mode: CATALOG_MODES.includes(raw.catalog_mode) ? raw.catalog_mode : 'single',
+    catalog_groups: parseList(raw.catalog_groups),
+    epg_catalogs: raw.epg_catalogs === true || raw.epg_catalogs === 'true',
+    preferred_quality: QUALITIES.includes(raw.preferred_quality) ? raw.preferred_quality : '',
+    quality_probe: raw.quality_probe === true || raw.quality_probe === 'true',
+    quality_variants: raw.quality_variants === true || raw.quality_variants === 'true',
+    max_source_channels: Math.max(0, parseInt(raw.max_source_channels) || 0)
+  };
+
+  return userConfig.m3u || userConfig.m3u_inline || userConfig.xtream.length > 0 ? userConfig : null;
+}
+
+// A config without its sources (playlists, pasted playlist, guide URL and
+// Xtream accounts), which may carry credentials
+function getPublicSettings(userConfig) {
+  if (!userConfig) return null;
+  const { m3u, m3u_inline, xtream, epg, epg_enabled, ...settings } = userConfig;
+  return settings;
+}
+
+// Configs in addon paths are sealed tokens (see config-token.js)
+function encodeConfig(userConfig) {
+  return sealConfig(userConfig);
+}
+
+function decodeConfig(encoded) {
+  if (!encoded) return null;
+  
+  const sealed = openConfig(encoded);
+  if (sealed) return normalizeConfig(sealed);
+  
+  // Plain base64url JSON from before tokens; refused on password-protected
+  // instances, where every config has to come from a token
+  if (isPasswordRequired()) return null;
+  
+  try {
+    const json = encoded.startsWith('{') ? encoded : Buffer.from(encoded, 'base64url').toString('utf8');
+    return normalizeConfig(JSON.parse(json));
+  } catch (e) {
+    console.error('❌ Config decode error:', e.message);
+    return null;
+  }
+}
+
+function getConfigKey(userConfig) {
+  return crypto.createHash('sha1').update(JSON.stringify(userConfig)).digest('hex');
+}
+
+// The instance's own playlist and guide (M3U_URL, EPG_URL), served by the
+// un-prefixed routes. Those never take a config from the request, so one
+// user's settings can't leak into another's. Password-protected instances
+// don't serve it at all: there every config has to come from a sealed token.
+function getDefaultConfig() {
+  return normalizeConfig({
+    m3u: process.env.M3U_URL,
+    epg: process.env.EPG_URL,
+    epg_enabled: !!process.env.EPG_URL,
+    timezone: process.env.TZ
+  });
+}
+
+// Resolve the config for a request: the path config, else the instance default
+function resolveConfig(req) {
+  if (req.params.config) return decodeConfig(req.params.config);
+
+  if (req.query.m3u) {
+    console.log('⚠️ Query-string configs are no longer supported, reinstall from the configure page');
+  }
+
+  if (isPasswordRequired()) {
+    console.log('🔒 Un-prefixed routes are disabled on password-protected instances');
+    return null;
+  }
+
+  return getDefaultConfig();
+}
+
+function getCache(key) {
+  const entry = caches.get(key) || createCache();
+
+  // Re-insert to mark as most recently used
+  caches.delete(key);
+  caches.set(key, entry);
+
+  while (caches.size > MAX_CACHES) {
+    const oldestKey = caches.keys().next().value;
+    console.log('🧹 Evicting cached config', oldestKey.substring(0, 8));
+    caches.delete(oldestKey);
+    scheduler.cancel(`${oldestKey}:m3u`);
+    scheduler.cancel(`${oldestKey}:epg`);
+    scheduler.cancel(`${oldestKey}:health`);
+    diskCache.remove(`config-${oldestKey}`).then(pruneRecords);
+  }
+
+  return entry;
+}
+
+// Get the cache for a config. Only the very first request waits (for the
+// playlist); after that refreshes run in the background on their intervals
+// and requests are served whatever was last loaded successfully. Snapshots
+// restored from disk are served straight away.
+async function loadCache(userConfig) {
+  const key = getConfigKey(userConfig);
+  const entry = getCache(key);
+
+  if (!entry.started) {
+    if (!entry.loading) {
+      entry.loading = startCache(key, entry, userConfig)
+        .catch(error => console.error('❌ Cache start failed:', error.message))
+        .finally(() => {
+          entry.loading = null;
+        });
+    }
+    if (!entry.lastUpdate) await entry.loading;
+  }
+
+  return entry;
+}
+
+async function startCache(key, entry, userConfig) {
+  const updateInterval = parseUpdateInterval(userConfig.update_interval);
+
+  let loaded = true;
+  if (!entry.lastUpdate || Date.now() - entry.lastUpdate > updateInterval) {
+    loaded = await refreshPlaylist(key, entry, userConfig);
+  }
+
+  // A provider that was down at startup is retried within minutes
+  scheduler.schedule(`${key}:m3u`, updateInterval, () => refreshPlaylist(key, entry, userConfig), { failing: !loaded });
+
+  // The guide loads in the background; its job starts once that's done
+  const scheduleEpg = (epgLoaded) => {
+    if (caches.get(key) !== entry) return;
+    scheduler.schedule(`${key}:epg`, EPG_UPDATE_INTERVAL, () => refreshEpg(key, entry, userConfig), { failing: epgLoaded === false });
+  };
+
+  if (!entry.epgLastUpdate || Date.now() - entry.epgLastUpdate > EPG_UPDATE_INTERVAL) {
+    refreshEpg(key, entry, userConfig)
+      .catch(error => {
+        console.error('❌ EPG loading failed:', error.message);
+        return false;
+      })
+      .then(scheduleEpg);
+  } else {
+    scheduleEpg(true);
+  }
+
+  if (userConfig.health_check) {
+    checkStreams(key, entry, userConfig).catch(error => {
+      console.error('❌ Stream health check failed:', error.message);
+    });
+    scheduler.schedule(`${key}:health`, HEALTH_CHECK_INTERVAL, () => checkStreams(key, entry, userConfig));
+  }
+
+  entry.started = true;
+}
+
+// The config is stored sealed, as in the addon URL, so credentials never
+// reach the disk in plain text. Guides are only referred to by their disk
+// records, which configs sharing a guide share.
+function saveSnapshot(key, entry, userConfig) {
+  return diskCache.write(`config-${key}`, {
+    savedAt: Date.now(),
+    token: encodeConfig(userConfig),
+    channels: entry.channels,
+    genres: entry.genres,
+    playlistEpgUrls: entry.playlistEpgUrls,
+    lastUpdate: entry.lastUpdate,
+    records: entry.records,
+    epgLastUpdate: entry.epgLastUpdate
+  });
+}
+
+// Reload the config snapshots written by saveSnapshot(), oldest first so the
+// most recently saved configs end up most recently used. Only the newest
+// MAX_CACHES are kept; snapshots whose token no longer opens (new
+// CONFIG_SECRET or password) are dropped. Records nothing uses afterwards
+// are removed.
+async function restoreSnapshots() {
+  const names = await diskCache.list('config-');
+  const guideIndexes = new Map();
+
+  for (const name of names.slice(0, -MAX_CACHES)) {
+    await diskCache.remove(name);
+  }
+
+  for (const name of names.slice(-MAX_CACHES)) {
+    const snapshot = await diskCache.read(name);
+    const userConfig = snapshot && snapshot.token ? normalizeConfig(openConfig(snapshot.token)) : null;
+
+    if (!userConfig || !Array.isArray(snapshot.channels)) {
+      await diskCache.remove(name);
+      continue;
+    }
+
+    const entry = getCache(getConfigKey(userConfig));
+    entry.channels = snapshot.channels;
+    entry.genres = snapshot.genres || [];
+    entry.playlistEpgUrls = snapshot.playlistEpgUrls || [];
+    entry.lastUpdate = snapshot.lastUpdate;
+    entry.records = snapshot.records || entry.records;
+
+    // Each guide from its own record, read once for all configs using it; a
+    // missing record has the guide loaded again straight away
+    for (const recordName of entry.records.guides) {
+      if (!guideIndexes.has(recordName)) {
+        const record = await diskCache.read(recordName);
+        guideIndexes.set(recordName, record ? EPGIndex.fromJSON(record.epg) : null);
+      }
+      if (guideIndexes.get(recordName)) entry.lastLoaded.guides.set(recordName, guideIndexes.get(recordName));
+    }
+
+    entry.epgIndex = mergeGuides(Array.from(entry.lastLoaded.guides.values()));
+    entry.epgLastUpdate = entry.epgIndex && entry.lastLoaded.guides.size === entry.records.guides.length
+      ? snapshot.epgLastUpdate
+      : null;
+
+    console.log(`💾 Restored ${entry.channels.length} channels from snapshot ${name.substring(7, 15)}`);
+    loadCache(userConfig);
+  }
+
+  await pruneRecords();
+}
+
+// Remove the playlist and guide records no cached config uses any more
+async function pruneRecords() {
+  const used = new Set();
+  for (const entry of caches.values()) {
+    entry.records.sources.forEach(name => used.add(name));
+    entry.records.guides.forEach(name => used.add(name));
+  }
+
+  const names = [...await diskCache.list('source-'), ...await diskCache.list('epg-')];
+  const unused = names.filter(name => !used.has(name));
+
+  for (const name of unused) {
+    await diskCache.remove(name);
+  }
+  if (unused.length > 0) console.log(`🧹 Removed ${unused.length} unused playlist and guide records`);
+}
+
+// Resolves false when a source failed or no channels came back, so the
+// scheduler retries sooner. Failed sources keep their last good channels;
+// when one has none (e.g. after a restart) the whole previous list is kept.
+async function refreshPlaylist(key, entry, userConfig) {
+  console.log('🔄 Updating cache...');
+
+  // Configs sharing the same sources, filters and limit share one download
+  const sourceKey = `m3u:${JSON.stringify([userConfig.m3u, userConfig.m3u_inline, userConfig.xtream, getSourceLimit(userConfig), getFilterKey(userConfig)])}`;
+  const result = await scheduler.run(sourceKey, () => loadChannels(userConfig, entry.lastLoaded.sources));
+
+  if (entry.channels.length > 0 && (result.missing > 0 || result.channels.length === 0)) {
+    console.log(result.missing > 0
+      ? `⚠️ ${result.missing} source(s) failed with no earlier data, keeping previous data`
+      : '⚠️ Playlist refresh returned no channels, keeping previous data');
+    return false;
+  }
+
+  const channels = userConfig.dedupe ? mergeDuplicateChannels(result.channels) : result.channels;
+  let kept = { channels, genres: result.genres };
+  
+  if (!isDefaultRules(userConfig.rules)) {
+    kept = applyRules(channels, userConfig.rules);
+    console.log(`🧰 Channel rules kept ${kept.channels.length} of ${channels.length} channels`);
+  }
+  
+  // The channel limit applies to what the rules kept, not to what was read
+  if (kept.channels.length > MAX_CHANNELS) {
+    console.log(`⚠️ Keeping the first ${MAX_CHANNELS} of ${kept.channels.length} channels`);
+    const limited = kept.channels.slice(0, MAX_CHANNELS);
+    kept = { channels: limited, genres: ['Other Channels', ...new Set(limited.map(channel => channel.group))] };
+  }
+  
+  entry.channels = kept.channels;
+  entry.genres = kept.genres;
+  entry.playlistEpgUrls = result.epgUrls;
+  entry.statusKeys.sources = result.statusKeys;
+  entry.lastLoaded.sources = result.sources;
+  entry.records.sources = result.recordNames;
+  entry.epgMatcher = null;
+  entry.lastUpdate = Date.now();
+  if (userConfig.health_check) applyHealth(entry.channels);
+  await saveSnapshot(key, entry, userConfig);
+  return result.failed === 0 && result.channels.length > 0;
+}
+
+// Probe the config's streams; URLs checked recently (by this or another
+// config) are not probed again
+async function checkStreams(key, entry, userConfig) {
+  const probed = await scheduler.run(`health:${key}`, () =>
+    probeChannels(entry.channels, { maxAge: HEALTH_CHECK_INTERVAL / 2 })
+  );
+  const dead = entry.channels.filter(isChannelDead).length;
+
+  console.log(`🩺 Health check: ${probed} streams probed, ${dead}/${entry.channels.length} channels offline`);
+  await saveSnapshot(key, entry, userConfig);
+}
+
+// Resolves false when a guide failed or none loaded, so the scheduler
+// retries sooner. Failed guides keep their last good index; when one has
+// none (e.g. after a restart) the whole previous guide is kept.
+async function refreshEpg(key, entry, userConfig) {
+  const epgUrls = getEpgUrls(userConfig, entry);
+
+  if (!epgUrls) {
+    console.log('ℹ️ EPG not enabled or no EPG URL provided');
+    return;
+  }
+
+  // Keep enough guide history for the longest catch-up window
+  const catchupDays = Math.max(0, ...entry.channels.map(ch => (ch.catchup ? ch.catchup.days : 0)));
+  const options = catchupDays ? { pastHours: catchupDays * 24 } : {};
+
+  console.log('📺 Loading EPG data from:', redact(epgUrls));
+  entry.statusKeys.guides = getGuideSources(epgUrls, options).map(guide => getStatusKey('guide', guide));
+
+  try {
+    // Each guide has its own idle timeout and retries (see source-runner.js)
+    const result = await scheduler.run(`epg:${epgUrls}:${catchupDays}`, () => parseEPG(epgUrls, options, entry.lastLoaded.guides));
+    
+    if (result && result.missing > 0 && entry.epgIndex) {
+      console.log(`⚠️ ${result.missing} guide(s) failed with no earlier data, keeping previous guide`);
+      return false;
+    }
+    
+    if (!result || !result.index) {
+      console.log(entry.epgIndex ? '⚠️ EPG data is null, keeping previous guide' : '⚠️ EPG data is null');
+      return false;
+    }
+    
+    entry.epgIndex = result.index;
+    entry.epgLastUpdate = Date.now();
+    entry.lastLoaded.guides = result.guides;
+    entry.records.guides = result.recordNames;
+    console.log('✅ EPG loaded successfully with', result.index.programmeCount, 'programmes');
+    await saveSnapshot(key, entry, userConfig);
+    return result.failed === 0;
+  } catch (epgError) {
+    console.error('❌ EPG loading failed:', epgError.message);
+    return false;
+  }
+}
+
+// Schedule entries in the meta are `<channel id>:<start unix>`
+function parseVideoId(id) {
+  const match = id.match(/^(.*):(\d+)$/);
+  return match ? { channelId: match[1], start: parseInt(match[2]) } : { channelId: id, start: null };
+}
+
+function getBaseUrl(req) {
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  const host = req.headers['x-forwarded-host'] || req.get('host');
+  return `${protocol}://${host}`;
+}
+
+// Base of the proxy URLs for one stream of a channel; keeps the config
+// segment from the request so proxied requests resolve the same cache
+function getProxyPrefix(req, channelId, index) {
+  const configSegment = req.params.config ? `/${req.params.config}` : '';
+  return `${getBaseUrl(req)}${configSegment}/proxy/${encodeURIComponent(channelId)}/${index}`;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'other';
+}
+
+// Catalogs for a config: the main one (with the genre and search extras),
+// a Favorites row when channels are pinned, with catalog_mode set one row
+// per group or per source, and with epg_catalogs the guide-driven rows.
+// `filter` picks a row's channels; `listing` rows show programmes instead.
+function getCatalogs(cache, userConfig) {
+  const catalogs = [{
+    ...config.manifest.catalogs[0],
+    extra: [
+      { name: 'genre', isRequired: false, options: cache.genres },
+      { name: 'search', isRequired: false },
+      { name: 'skip', isRequired: false }
+    ],
+    filter: null
+  }];
+  const rowExtra = [{ name: 'skip', isRequired: false }];
+  
+  if (cache.channels.some(ch => ch.favorite)) {
+    catalogs.unshift({ type: 'tv', id: 'hy_tv_favorites', name: '⭐ Favorites', extra: rowExtra, filter: ch => ch.favorite });
+  }
+  
+  if (userConfig.catalog_mode === 'group') {
+    const wanted = userConfig.catalog_groups.map(group => group.toLowerCase());
+    const rank = (group) => wanted.indexOf(String(group).toLowerCase());
+    const groups = [...new Set(cache.channels.map(ch => ch.group))]
+      .filter(group => wanted.length === 0 || rank(group) !== -1)
+      .sort((a, b) => rank(a) - rank(b));
+    const ids = new Set();
+    
+    for (const group of groups) {
+      let id = `hy_tv_group_${slugify(group)}`;
+      for (let n = 2; ids.has(id); n++) id = `hy_tv_group_${slugify(group)}_${n}`;
+      ids.add(id);
+      catalogs.push({ type: 'tv', id, name: group, extra: rowExtra, filter: ch => ch.group === group });
+    }
+  } else if (userConfig.catalog_mode === 'source') {
+    const sources = [...new Set(cache.channels.flatMap(ch => ch.streamInfo.urls.map(u => u.sourceIndex ?? ch.sourceIndex)))]
+      .sort((a, b) => a - b);
+    
+    for (const source of sources) {
+      catalogs.push({
+        type: 'tv',
+        id: `hy_tv_source_${source + 1}`,
+        name: `HY TV · Source ${source + 1}`,
+        extra: rowExtra,
+        filter: ch => ch.streamInfo.urls.some(u => (u.sourceIndex ?? ch.sourceIndex) === source)
+      });
+    }
+  }
+  
+  if (userConfig.epg_catalogs && getEpgUrls(userConfig, cache)) {
+    catalogs.push(
+      { type: 'tv', id: 'hy_tv_now', name: '🔴 On Now', extra: rowExtra, listing: listOnNow },
+      { type: 'tv', id: 'hy_tv_soon', name: '⏰ Starting Soon', extra: rowExtra, listing: listStartingSoon },
+      ...EPG_CATEGORIES.map(category => ({
+        type: 'tv',
+        id: `hy_tv_category_${category.id}`,
+        name: category.name,
+        extra: rowExtra,
+        listing: (channels, epgIndex, getEpgId) => listCategory(channels, epgIndex, getEpgId, category.id)
+      }))
+    );
+  }
+  
+  return catalogs;
 }
 
 // Routes
-app.get('/', (req, res) => {
-  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-  const host = req.headers['x-forwarded-host'] || req.get('host');
+app.get(['/', '/configure', '/:config/configure'], (req, res) => {
+  const baseUrl = getBaseUrl(req);
+  // Only a config that decodes is taken from the path; the page embeds it
+  const decodedConfig = req.params.config ? decodeConfig(req.params.config) : null;
+  const savedToken = decodedConfig ? req.params.config : null;
+  // Anyone with the addon URL can open this page, so it never shows the
+  // sources. Password-protected instances show nothing until the password
+  // unlocks the whole config (see /api/config-token/open).
+  const savedConfig = decodedConfig && !isPasswordRequired() ? getPublicSettings(decodedConfig) : null;
   
   res.send(`<!DOCTYPE html>
 <html>
@@ -450,7 +1093,7 @@ label {
   font-weight: 500;
 }
 
-input, textarea {
+input, textarea, select {
   width: 100%;
   padding: 12px;
   border: 1px solid #555;
@@ -462,7 +1105,7 @@ input, textarea {
   transition: border-color 0.3s;
 }
 
-input:focus, textarea:focus {
+input:focus, textarea:focus, select:focus {
   outline: none;
   border-color: #4a5568;
 }
@@ -474,6 +1117,21 @@ textarea {
   resize: vertical;
 }
 
+details.rules {
+  margin-bottom: 20px;
+}
+
+details.rules summary {
+  cursor: pointer;
+  color: #e8e8e8;
+  font-weight: 500;
+  margin-bottom: 12px;
+}
+
+details.rules textarea {
+  height: 70px;
+}
+
 button {
   width: 100%;
   background: #3a4556;
@@ -557,6 +1215,20 @@ button:active {
   font-weight: bold;
 }
 
+.source-status {
+  margin: 10px 0 0;
+  padding: 0;
+  list-style: none;
+  text-align: left;
+  font-size: 0.85em;
+  color: #aaa;
+  word-break: break-all;
+}
+
+.source-status li {
+  margin: 4px 0;
+}
+
 .footer {
   margin-top: 40px;
   text-align: center;
@@ -598,21 +1270,156 @@ button:active {
   <div class="help">
     <strong>📋 Multiple M3U URLs</strong>
     <small>Separate multiple playlist URLs with commas</small><br><br>
+    <strong>🔑 Xtream Codes</strong>
+    <small>Enter your panel server, username and password instead of (or as well as) M3U URLs; its guide is loaded automatically</small><br><br>
     <strong>⏰ Update Interval</strong>
     <small>Format HH:MM (e.g., 12:00 for 12 hours, 02:00 for 2 hours)</small><br><br>
     <strong>📺 EPG Support</strong>
-    <small>Supports .xml and .xml.gz formats</small>
+    <small>Supports .xml, .xml.gz and .zip formats</small><br><br>
+    <strong>🕒 Timezone</strong>
+    <small>Programme times are shown in this zone (detected from your browser)</small>
+  </div>
+  
+  ${savedToken ? `<div class="help">
+    <strong>🔒 Editing an installed addon</strong>
+    <small>${isPasswordRequired()
+      ? 'Enter the instance password and load the saved settings to edit them'
+      : 'Playlists, guide URLs and Xtream accounts are never shown again; enter them again before generating a new URL'}</small>
   </div>
   
-  <form id="form">
+  ` : ''}<form id="form">
+    <div class="form-group">
+      <label for="m3u">M3U Playlist URLs</label>
+      <textarea id="m3u" placeholder="Enter one or more M3U URLs (comma-separated)&#10;Example:&#10;https://example.com/playlist1.m3u,&#10;https://example.com/playlist2.m3u8"></textarea>
+      <small>Also accepts .m3u.gz and .zip playlists, and file paths inside the server's sources directory</small>
+    </div>
+    
+    <div class="form-group">
+      <label for="m3u_inline">Or paste a playlist (Optional)</label>
+      <textarea id="m3u_inline" placeholder="#EXTM3U&#10;#EXTINF:-1 group-title=&quot;News&quot;,Channel&#10;https://example.com/stream.m3u8"></textarea>
+    </div>
+    
     <div class="form-group">
-      <label for="m3u">M3U Playlist URLs *</label>
-      <textarea id="m3u" placeholder="Enter one or more M3U URLs (comma-separated)&#10;Example:&#10;https://example.com/playlist1.m3u,&#10;https://example.com/playlist2.m3u8" required></textarea>
+      <label for="xtream_server">Xtream Codes Account (Optional)</label>
+      <input type="text" id="xtream_server" placeholder="Server, e.g. http://panel.example.com:8080">
+      <input type="text" id="xtream_username" placeholder="Username" style="margin-top: 8px;">
+      <input type="password" id="xtream_password" placeholder="Password" style="margin-top: 8px;">
     </div>
     
     <div class="form-group">
       <label for="epg">EPG Guide URL (Optional)</label>
-      <input type="url" id="epg" placeholder="https://example.com/epg.xml or epg.xml.gz">
+      <input type="text" id="epg" placeholder="https://example.com/epg.xml or epg.xml.gz">
+      <small>Leave empty to use the guide your playlist names in its header (url-tvg)</small>
+    </div>
+    
+    <div class="form-group">
+      <label for="epg_map">EPG Overrides (Optional)</label>
+      <textarea id="epg_map" placeholder="One per line: channel name or tvg-id = XMLTV channel id&#10;Example:&#10;UK: BBC One HD = BBCOne.uk"></textarea>
+    </div>
+    
+    <details class="rules" id="rules">
+      <summary>🧰 Channel Rules (Optional)</summary>
+      
+      <div class="form-group">
+        <label for="include_groups">Only these groups (one regex per line)</label>
+        <textarea id="include_groups" placeholder="^UK\b&#10;Sports"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="exclude_groups">Hide these groups (one regex per line)</label>
+        <textarea id="exclude_groups" placeholder="Adult&#10;^PPV"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="include_names">Only channels named (one regex per line)</label>
+        <textarea id="include_names"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="exclude_names">Hide channels named (one regex per line)</label>
+        <textarea id="exclude_names" placeholder="\bSD\b&#10;backup"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="group_renames">Rename groups (old = new; same new name merges them)</label>
+        <textarea id="group_renames" placeholder="UK | Entertainment = UK&#10;UK | News = UK"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="channel_renames">Rename channels (old = new)</label>
+        <textarea id="channel_renames" placeholder="UK: BBC One FHD = BBC One"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="favorites">Favourites, pinned to the top (one channel name per line)</label>
+        <textarea id="favorites" placeholder="BBC One&#10;Sky Sports Main Event"></textarea>
+      </div>
+      
+      <div class="form-group">
+        <label for="sort">Order</label>
+        <select id="sort">
+          <option value="playlist">Playlist order</option>
+          <option value="alphabetical">Alphabetical</option>
+          <option value="chno">Channel number (tvg-chno)</option>
+        </select>
+      </div>
+      
+      <div class="form-group">
+        <label for="max_source_channels">Channels per source</label>
+        <input type="number" id="max_source_channels" min="0" max="${MAX_SOURCE_CHANNELS}" placeholder="Up to ${MAX_SOURCE_CHANNELS}">
+        <small>Keeps the first channels of each playlist or panel that pass the filters above</small>
+      </div>
+    </details>
+    
+    <div class="form-group">
+      <label for="dedupe">
+        <input type="checkbox" id="dedupe" style="width: auto; margin-right: 8px;">
+        Merge duplicate channels across playlists
+      </label>
+    </div>
+    
+    <div class="form-group">
+      <label for="proxy">
+        <input type="checkbox" id="proxy" style="width: auto; margin-right: 8px;">
+        Play streams through this server (for channels needing headers or blocked by CORS)
+      </label>
+    </div>
+    
+    <div class="form-group">
+      <label for="health_check">
+        <input type="checkbox" id="health_check" style="width: auto; margin-right: 8px;">
+        Check streams in the background and list working ones first
+      </label>
+      <label for="hide_dead">
+        <input type="checkbox" id="hide_dead" style="width: auto; margin-right: 8px;">
+        Hide channels whose streams are all offline
+      </label>
+    </div>
+    
+    <div class="form-group">
+      <label for="preferred_quality">Preferred Quality</label>
+      <select id="preferred_quality">
+        <option value="">Playlist order</option>
+        <option value="4K">4K / UHD</option>
+        <option value="FHD">Full HD (1080p)</option>
+        <option value="HD">HD (720p)</option>
+        <option value="SD">SD</option>
+      </select>
+      <label for="quality_probe" style="margin-top: 8px;">
+        <input type="checkbox" id="quality_probe" style="width: auto; margin-right: 8px;">
+        Read resolution, bitrate and codecs from HLS playlists
+      </label>
+      <label for="quality_variants">
+        <input type="checkbox" id="quality_variants" style="width: auto; margin-right: 8px;">
+        List each HLS quality as its own stream
+      </label>
+    </div>
+    
+    <div class="form-group">
+      <label for="epg_catalogs">
+        <input type="checkbox" id="epg_catalogs" style="width: auto; margin-right: 8px;">
+        Add "On Now", "Starting Soon" and category (Sports, Movies, News…) catalogs from the guide
+      </label>
     </div>
     
     <div class="form-group">
@@ -620,12 +1427,33 @@ button:active {
       <input type="text" id="language" placeholder="Default: English" value="English">
     </div>
     
+    <div class="form-group">
+      <label for="timezone">Timezone</label>
+      <input type="text" id="timezone" placeholder="IANA zone, e.g. Europe/Rome or America/New_York">
+    </div>
+    
+    <div class="form-group">
+      <label for="catalog_mode">Catalogs</label>
+      <select id="catalog_mode">
+        <option value="single">One catalog, groups as genres</option>
+        <option value="group">One catalog per group</option>
+        <option value="source">One catalog per source</option>
+      </select>
+      <textarea id="catalog_groups" placeholder="Groups to show as catalogs, one per line (blank for all)" style="height: 70px; margin-top: 8px;"></textarea>
+    </div>
+    
     <div class="form-group">
       <label for="update_interval">Update Interval</label>
       <input type="text" id="update_interval" placeholder="Default: 02:00" value="02:00">
     </div>
     
-    <button type="submit">🚀 Generate Addon</button>
+    ${isPasswordRequired() ? `<div class="form-group">
+      <label for="instance_password">Instance Password</label>
+      <input type="password" id="instance_password" placeholder="Required by this server" required>
+      ${savedToken ? '<button type="button" id="unlock" style="margin-top: 8px;">🔓 Load Saved Settings</button>' : ''}
+    </div>
+    
+    ` : ''}<button type="submit">🚀 Generate Addon</button>
   </form>
   
   <div id="result" class="result">
@@ -633,6 +1461,7 @@ button:active {
     <p>Copy the URL below and add it to Stremio's addon list:</p>
     <div id="url" class="url-box"></div>
     <button onclick="copyUrl()">📋 Copy to Clipboard</button>
+    <p style="margin-top: 12px;">For other players: <a id="playlistExport" target="_blank">playlist.m3u</a> · <a id="epgExport" target="_blank">epg.xml.gz</a></p>
   </div>
   
   <div class="stats">
@@ -643,6 +1472,10 @@ button:active {
     <div class="stat-item">
       Last Update: <span class="stat-value" id="lastUpdate">Never</span>
     </div>
+    <div class="stat-item">
+      Sources: <span class="stat-value" id="sourceCount">None</span>
+    </div>
+    <ul class="source-status" id="sourceStatus"></ul>
   </div>
   
   <div class="footer">
@@ -652,6 +1485,75 @@ button:active {
 </div>
 
 <script>
+const savedToken = ${JSON.stringify(savedToken).replace(/</g, '\\u003c')};
+const savedConfig = ${JSON.stringify(savedConfig).replace(/</g, '\\u003c')};
+
+// Fills the form from a config; the sources are only present once unlocked
+function fillForm(savedConfig) {
+  document.getElementById('m3u').value = savedConfig.m3u || '';
+  document.getElementById('m3u_inline').value = savedConfig.m3u_inline || '';
+  if (savedConfig.xtream && savedConfig.xtream[0]) {
+    document.getElementById('xtream_server').value = savedConfig.xtream[0].server;
+    document.getElementById('xtream_username').value = savedConfig.xtream[0].username;
+    document.getElementById('xtream_password').value = savedConfig.xtream[0].password;
+  }
+  document.getElementById('epg').value = savedConfig.epg || '';
+  document.getElementById('epg_map').value = Object.entries(savedConfig.epg_map || {})
+    .map(([from, to]) => from + ' = ' + to)
+    .join('\\n');
+  document.getElementById('language').value = savedConfig.language;
+  document.getElementById('timezone').value = savedConfig.timezone;
+  document.getElementById('update_interval').value = savedConfig.update_interval;
+  document.getElementById('catalog_mode').value = savedConfig.catalog_mode || 'single';
+  document.getElementById('catalog_groups').value = (savedConfig.catalog_groups || []).join('\\n');
+  document.getElementById('dedupe').checked = savedConfig.dedupe;
+  
+  const rules = savedConfig.rules || {};
+  ['include_groups', 'exclude_groups', 'include_names', 'exclude_names', 'favorites'].forEach(function(field) {
+    document.getElementById(field).value = (rules[field] || []).join('\\n');
+  });
+  ['group_renames', 'channel_renames'].forEach(function(field) {
+    document.getElementById(field).value = Object.entries(rules[field] || {})
+      .map(([from, to]) => from + ' = ' + to)
+      .join('\\n');
+  });
+  document.getElementById('sort').value = rules.sort || 'playlist';
+  document.getElementById('max_source_channels').value = savedConfig.max_source_channels || '';
+  document.getElementById('rules').open = (rules.sort || 'playlist') !== 'playlist' || !!savedConfig.max_source_channels ||
+    Object.values(rules).some(value => typeof value === 'object' && Object.keys(value).length > 0);
+  document.getElementById('proxy').checked = savedConfig.proxy;
+  document.getElementById('health_check').checked = savedConfig.health_check;
+  document.getElementById('hide_dead').checked = savedConfig.hide_dead;
+  document.getElementById('epg_catalogs').checked = savedConfig.epg_catalogs;
+  document.getElementById('preferred_quality').value = savedConfig.preferred_quality || '';
+  document.getElementById('quality_probe').checked = savedConfig.quality_probe;
+  document.getElementById('quality_variants').checked = savedConfig.quality_variants;
+}
+
+if (savedConfig) {
+  fillForm(savedConfig);
+} else {
+  document.getElementById('timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+const unlockButton = document.getElementById('unlock');
+if (unlockButton) {
+  unlockButton.onclick = function() {
+    fetch('/api/config-token/open', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: savedToken, password: document.getElementById('instance_password').value })
+    })
+      .then(r => r.json().then(data => ({ ok: r.ok, data: data })))
+      .then(({ ok, data }) => {
+        if (!ok) throw new Error(data.error || 'Could not load the saved settings');
+        fillForm(data.config);
+        unlockButton.style.display = 'none';
+      })
+      .catch(error => alert(error.message));
+  };
+}
+
 fetch('/health')
   .then(r => r.json())
   .then(data => {
@@ -659,27 +1561,102 @@ fetch('/health')
     document.getElementById('lastUpdate').textContent = data.lastUpdate 
       ? new Date(data.lastUpdate).toLocaleString() 
       : 'Never';
+    
+    const sources = data.sources || { ok: 0, failing: 0 };
+    document.getElementById('sourceCount').textContent = sources.ok + sources.failing
+      ? sources.ok + ' ok' + (sources.failing ? ', ' + sources.failing + ' failing' : '')
+      : 'None';
   })
   .catch(() => {});
 
+// This addon's own playlists, panels and guides, one line each; built with
+// textContent since the labels are user-supplied URLs
+if (savedToken) {
+  fetch('/' + savedToken + '/sources.json')
+    .then(r => r.json())
+    .then(data => {
+      const list = document.getElementById('sourceStatus');
+      (data.sources || []).forEach(function(source) {
+        const details = [source.kind, source.source];
+        if (source.ok) {
+          if (source.channels != null) details.push(source.channels + ' channels');
+          if (source.programmes != null) details.push(source.programmes + ' programmes');
+          if (source.bytes) details.push((source.bytes / 1024 / 1024).toFixed(1) + ' MB');
+          if (source.notModified) details.push('unchanged');
+          details.push((source.durationMs / 1000).toFixed(1) + 's');
+        } else {
+          details.push(source.lastError);
+          if (source.lastSuccess) details.push('last OK ' + new Date(source.lastSuccess).toLocaleString());
+        }
+        const item = document.createElement('li');
+        item.textContent = (source.ok ? '✅ ' : '❌ ') + details.join(' · ');
+        list.appendChild(item);
+      });
+    })
+    .catch(() => {});
+}
+
 document.getElementById('form').onsubmit = function(e) {
   e.preventDefault();
   
   const m3u = document.getElementById('m3u').value.trim();
+  const m3u_inline = document.getElementById('m3u_inline').value.trim();
+  const xtreamServer = document.getElementById('xtream_server').value.trim();
+  const xtreamUsername = document.getElementById('xtream_username').value.trim();
+  const xtreamPassword = document.getElementById('xtream_password').value.trim();
+  const xtream = xtreamServer && xtreamUsername && xtreamPassword
+    ? [{ server: xtreamServer, username: xtreamUsername, password: xtreamPassword }]
+    : [];
+  
+  if (!m3u && !m3u_inline && xtream.length === 0) {
+    alert('Enter at least one M3U URL, a playlist or a complete Xtream account');
+    return;
+  }
   const epg = document.getElementById('epg').value.trim();
+  const epg_map = document.getElementById('epg_map').value.trim();
   const language = document.getElementById('language').value.trim() || 'English';
+  const timezone = document.getElementById('timezone').value.trim() || 'UTC';
+  const dedupe = document.getElementById('dedupe').checked;
+  const proxy = document.getElementById('proxy').checked;
+  const health_check = document.getElementById('health_check').checked;
+  const hide_dead = health_check && document.getElementById('hide_dead').checked;
   const update_interval = document.getElementById('update_interval').value.trim() || '02:00';
+  const catalog_mode = document.getElementById('catalog_mode').value;
+  const catalog_groups = document.getElementById('catalog_groups').value.trim();
+  const epg_catalogs = document.getElementById('epg_catalogs').checked;
+  const preferred_quality = document.getElementById('preferred_quality').value;
+  const quality_probe = document.getElementById('quality_probe').checked;
+  const quality_variants = document.getElementById('quality_variants').checked;
+  const max_source_channels = parseInt(document.getElementById('max_source_channels').value) || 0;
   
-  const params = new URLSearchParams({m3u, language, update_interval});
-  if (epg) { 
-    params.set('epg', epg); 
-    params.set('epg_enabled', 'true'); 
-  }
+  // Sent as entered; the server splits lines and "old = new" pairs
+  const rules = { sort: document.getElementById('sort').value };
+  ['include_groups', 'exclude_groups', 'include_names', 'exclude_names', 'group_renames', 'channel_renames', 'favorites'].forEach(function(field) {
+    rules[field] = document.getElementById(field).value.trim();
+  });
   
-  const url = '${protocol}://${host}/manifest.json?' + params;
-  document.getElementById('url').textContent = url;
-  document.getElementById('result').style.display = 'block';
-  document.getElementById('result').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  const userConfig = { m3u: m3u, m3u_inline: m3u_inline, xtream: xtream, epg: epg, epg_enabled: !!epg, language: language, timezone: timezone, update_interval: update_interval, dedupe: dedupe, proxy: proxy, health_check: health_check, hide_dead: hide_dead, epg_map: epg_map, rules: rules, catalog_mode: catalog_mode, catalog_groups: catalog_groups, epg_catalogs: epg_catalogs, preferred_quality: preferred_quality, quality_probe: quality_probe, quality_variants: quality_variants, max_source_channels: max_source_channels };
+  
+  // The server seals the config into the token used in the addon URL
+  const passwordInput = document.getElementById('instance_password');
+  
+  fetch('/api/config-token', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ config: userConfig, password: passwordInput ? passwordInput.value : '' })
+  })
+    .then(r => r.json().then(data => ({ ok: r.ok, data: data })))
+    .then(({ ok, data }) => {
+      if (!ok) throw new Error(data.error || 'Could not create the addon URL');
+      
+      const url = '${baseUrl}/' + data.token + '/manifest.json';
+      document.getElementById('url').textContent = url;
+      document.getElementById('playlistExport').href = '${baseUrl}/' + data.token + '/playlist.m3u';
+      document.getElementById('epgExport').href = '${baseUrl}/' + data.token + '/epg.xml.gz';
+      document.getElementById('result').style.display = 'block';
+      document.getElementById('result').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    })
+    .catch(error => alert(error.message));
 };
 
 function copyUrl() {
@@ -702,80 +1679,65 @@ function copyUrl() {
 </html>`);
 });
 
-app.get('/manifest.json', async (req, res) => {
+// The whole config inside a token, for editing it on the configure page.
+// Only password-protected instances reveal it, and only with the password;
+// elsewhere holding the addon URL would be enough to read the credentials.
+app.post('/api/config-token/open', (req, res) => {
+  const body = req.body || {};
+  
+  if (!isPasswordRequired()) {
+    return res.status(403).json({ error: 'Saved sources are only shown on password-protected servers' });
+  }
+  
+  if (!checkPassword(body.password)) {
+    return res.status(401).json({ error: 'Wrong instance password' });
+  }
+  
+  const userConfig = decodeConfig(body.token);
+  
+  if (!userConfig) {
+    return res.status(404).json({ error: 'This addon URL is not valid on this server' });
+  }
+  
+  res.json({ config: userConfig });
+});
+
+// Seal a config from the configure page into an addon URL token
+app.post('/api/config-token', (req, res) => {
+  const body = req.body || {};
+  
+  if (!checkPassword(body.password)) {
+    return res.status(401).json({ error: 'Wrong instance password' });
+  }
+  
+  const userConfig = normalizeConfig(body.config);
+  
+  if (!userConfig) {
+    return res.status(400).json({ error: 'M3U URL or Xtream account required' });
+  }
+  
+  res.json({ token: encodeConfig(userConfig) });
+});
+
+app.get(['/manifest.json', '/:config/manifest.json'], async (req, res) => {
   try {
     console.log('📋 Manifest request received');
-    console.log('📋 Query params:', JSON.stringify(req.query, null, 2));
-    
-    if (!req.query.m3u) {
-      console.log('❌ No M3U URL provided in query');
-      return res.status(400).json({ error: 'M3U URL required' });
-    }
     
-    const updateInterval = parseUpdateInterval(req.query.update_interval);
+    const userConfig = resolveConfig(req);
     
-    if (cache.m3uUrl !== req.query.m3u || !cache.lastUpdate || 
-        Date.now() - cache.lastUpdate > updateInterval) {
-      console.log('🔄 Updating cache...');
-      const result = await parseM3U(req.query.m3u);
-      cache.channels = result.channels;
-      cache.genres = result.genres;
-      cache.m3uUrl = req.query.m3u;
-      cache.lastUpdate = Date.now();
+    if (!userConfig) {
+      console.log('❌ No M3U URL or Xtream account provided in config');
+      return res.status(400).json({ error: 'M3U URL or Xtream account required' });
     }
     
-    if ((req.query.epg_enabled === 'true' || req.query.epg_enabled === true) && req.query.epg) {
-      const epgUpdateInterval = 6 * 60 * 60 * 1000;
-      const epgUrlChanged = cache.lastEpgUrl !== req.query.epg;
-      
-      if (!cache.epgLastUpdate || Date.now() - cache.epgLastUpdate > epgUpdateInterval || epgUrlChanged) {
-        console.log('📺 Loading EPG data from:', req.query.epg);
-        cache.lastEpgUrl = req.query.epg;
-        
-        try {
-          const epgPromise = parseEPG(req.query.epg);
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('EPG timeout')), 45000)
-          );
-          
-          cache.epgData = await Promise.race([epgPromise, timeoutPromise]);
-          cache.epgLastUpdate = Date.now();
-          
-          if (cache.epgData) {
-            const programCount = Array.isArray(cache.epgData.tv?.programme) 
-              ? cache.epgData.tv.programme.length 
-              : (cache.epgData.tv?.programme ? 1 : 0);
-            console.log('✅ EPG loaded successfully with', programCount, 'programmes');
-          } else {
-            console.log('⚠️ EPG data is null');
-          }
-        } catch (epgError) {
-          console.error('❌ EPG loading failed:', epgError.message);
-          cache.epgData = null;
-        }
-      } else {
-        console.log('📺 Using cached EPG data');
-      }
-    } else {
-      console.log('ℹ️ EPG not enabled or no EPG URL provided');
-    }
-    
-    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-    const host = req.headers['x-forwarded-host'] || req.get('host');
+    const entry = await loadCache(userConfig);
     
     const manifest = {
       ...config.manifest,
-      catalogs: [{
-        ...config.manifest.catalogs[0],
-        extra: [
-          { name: 'genre', isRequired: false, options: cache.genres },
-          { name: 'search', isRequired: false },
-          { name: 'skip', isRequired: false }
-        ]
-      }],
+      catalogs: getCatalogs(entry, userConfig).map(({ filter, listing, ...catalog }) => catalog),
       behaviorHints: {
         configurable: true,
-        configurationURL: `${protocol}://${host}/?${new URLSearchParams(req.query)}`,
+        configurationURL: `${getBaseUrl(req)}/${encodeConfig(userConfig)}/configure`,
         reloadRequired: true
       }
     };
@@ -784,17 +1746,25 @@ app.get('/manifest.json', async (req, res) => {
     res.setHeader('Cache-Control', 'public, max-age=3600');
     res.json(manifest);
   } catch (error) {
-    console.error('❌ Manifest error:', error);
+    console.error('❌ Manifest error:', redact(error.stack || error.message));
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
+app.get(['/catalog/:type/:id/:extra?.json', '/:config/catalog/:type/:id/:extra?.json'], async (req, res) => {
   try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      console.log('⚠️ WARNING: No config for catalog request! Manifest may not have been called yet.');
+      return res.json({ metas: [] });
+    }
+    
+    const cache = await loadCache(userConfig);
     console.log('📺 Catalog request - Total channels in cache:', cache.channels.length);
     
     if (cache.channels.length === 0) {
-      console.log('⚠️ WARNING: Cache is empty! Manifest may not have been called yet.');
+      console.log('⚠️ WARNING: Cache is empty! Playlist may have failed to load.');
       return res.json({ metas: [] });
     }
     
@@ -823,17 +1793,62 @@ app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
       }
     }
     
-    let filtered = [...cache.channels];
+    const catalog = getCatalogs(cache, userConfig).find(c => c.id === req.params.id);
+    
+    if (!catalog) {
+      return res.json({ metas: [] });
+    }
+    
+    // Guide rows: one card per channel showing its programme, linking to the channel
+    if (catalog.listing) {
+      const channels = userConfig.hide_dead ? cache.channels.filter(ch => !isChannelDead(ch)) : cache.channels;
+      const entries = cache.epgIndex
+        ? catalog.listing(channels, cache.epgIndex, channel => getEpgChannelId(cache, userConfig, channel))
+        : [];
+      const startIndex = parseInt(skip) || 0;
+      
+      const metas = entries.slice(startIndex, startIndex + 100).map(({ channel, programme }) => {
+        let description = `📺 ${channel.name}\n⏰ ${formatTime(programme.start, userConfig.timezone)} - ${formatTime(programme.stop, userConfig.timezone)}`;
+        if (programme.description) description += `\n\n${programme.description.substring(0, 200)}`;
+        
+        return {
+          id: channel.id,
+          type: 'tv',
+          name: catalog.listing === listStartingSoon
+            ? `${formatTime(programme.start, userConfig.timezone)} · ${programme.title}`
+            : programme.title || channel.name,
+          poster: programme.icon || channel.logo || `https://via.placeholder.com/300x450/3a4556/ffffff?text=${encodeURIComponent(channel.name.substring(0, 2))}`,
+          description: description,
+          genres: [channel.group]
+        };
+      });
+      
+      console.log(`📺 Guide catalog ${catalog.id}: ${metas.length} programmes`);
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      return res.json({ metas });
+    }
+    
+    let filtered = catalog.filter ? cache.channels.filter(catalog.filter) : [...cache.channels];
     
     if (search) {
-      const term = search.toLowerCase();
-      filtered = filtered.filter(ch => ch.name.toLowerCase().includes(term));
+      filtered = searchChannels(filtered, search, channel => {
+        const epgId = getEpgChannelId(cache, userConfig, channel);
+        if (!epgId) return {};
+        const now = cache.epgIndex.getCurrent(epgId);
+        const next = cache.epgIndex.getNext(epgId);
+        return { now: now && now.title, next: next && next.title };
+      });
     }
     
     if (genre && genre !== 'Other Channels') {
       filtered = filtered.filter(ch => ch.group === genre);
     }
     
+    if (userConfig.hide_dead) {
+      filtered = filtered.filter(ch => !isChannelDead(ch));
+    }
+    
     const startIndex = parseInt(skip) || 0;
     const paged = filtered.slice(startIndex, startIndex + 100);
     
@@ -842,10 +1857,12 @@ app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
     const metas = paged.map(channel => {
       let description = `📺 ${channel.name}`;
       if (channel.group) description += `\n🏷️ ${channel.group}`;
-      description += `\n📡 Source ${channel.sourceIndex + 1}`;
+      description += `\n📡 ${describeSources(channel)}`;
+      if (isChannelDead(channel)) description += '\n⚠️ Offline at last check';
       
-      if (cache.epgData && channel.tvgId) {
-        const program = getCurrentProgram(channel.tvgId, cache.epgData);
+      const epgId = getEpgChannelId(cache, userConfig, channel);
+      if (epgId) {
+        const program = getCurrentProgram(epgId, cache.epgIndex, userConfig.timezone);
         if (program) {
           description += `\n\n🔴 NOW: ${program.title}`;
           if (program.description) {
@@ -869,48 +1886,365 @@ app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
     res.setHeader('Cache-Control', 'public, max-age=300');
     res.json({ metas });
   } catch (error) {
-    console.error('❌ Catalog error:', error);
+    console.error('❌ Catalog error:', redact(error.stack || error.message));
     res.status(500).json({ metas: [] });
   }
 });
 
-app.get('/stream/:type/:id.json', async (req, res) => {
+app.get(['/meta/:type/:id.json', '/:config/meta/:type/:id.json'], async (req, res) => {
   try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      return res.json({ meta: null });
+    }
+    
+    const cache = await loadCache(userConfig);
     const channel = cache.channels.find(ch => ch.id === req.params.id);
     
     if (!channel) {
-      return res.json({ streams: [] });
+      return res.json({ meta: null });
     }
     
-    const streams = channel.streamInfo.urls.map((stream, index) => ({
-      name: `📺 ${channel.name} [Source ${channel.sourceIndex + 1}]${index > 0 ? ` (${index + 1})` : ''}`,
-      title: channel.name,
-      url: stream.url
+    const now = Date.now();
+    const catchupHours = channel.catchup ? channel.catchup.days * 24 : 0;
+    const epgId = getEpgChannelId(cache, userConfig, channel);
+    let schedule = epgId ? getSchedule(epgId, cache.epgIndex, SCHEDULE_HOURS, catchupHours) : [];
+    
+    if (schedule.length === 0 && channel.xtream) {
+      try {
+        const programmes = await getShortEpg(userConfig.xtream[channel.xtream.index], channel.xtream.streamId);
+        schedule = programmes.filter(p => p.stop > now - catchupHours * 60 * 60 * 1000);
+      } catch (error) {
+        console.error('❌ Xtream short EPG error:', error.message);
+      }
+    }
+    
+    const upcoming = schedule.filter(p => p.stop > now);
+    
+    let description = `📺 ${channel.name}`;
+    if (channel.group) description += `\n🏷️ ${channel.group}`;
+    description += `\n📡 ${describeSources(channel)}`;
+    if (channel.catchup) description += `\n⏪ Catch-up: ${channel.catchup.days} day(s)`;
+    
+    if (upcoming.length > 0) {
+      description += `\n\n🔴 NOW: ${upcoming[0].title}`;
+      if (upcoming[1]) description += `\n⏭️ NEXT: ${upcoming[1].title}`;
+    }
+    
+    // Each programme is a video so Stremio lists the schedule. Past ones play
+    // from the catch-up archive, the rest play the live channel (see parseVideoId)
+    const videos = schedule.map(program => ({
+      id: `${channel.id}:${Math.floor(program.start / 1000)}`,
+      title: `${program.stop <= now ? '⏪ ' : ''}${formatTime(program.start, userConfig.timezone)} - ${formatTime(program.stop, userConfig.timezone)} ${program.title}`,
+      released: new Date(program.start).toISOString(),
+      overview: program.description,
+      thumbnail: program.icon || channel.logo || undefined
     }));
     
+    const meta = {
+      id: channel.id,
+      type: 'tv',
+      name: channel.name,
+      poster: channel.logo || `https://via.placeholder.com/300x450/3a4556/ffffff?text=${encodeURIComponent(channel.name.substring(0, 2))}`,
+      posterShape: 'square',
+      logo: channel.logo || undefined,
+      description: description,
+      genres: [channel.group],
+      videos
+    };
+    
     res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json({ meta });
+  } catch (error) {
+    console.error('❌ Meta error:', redact(error.stack || error.message));
+    res.status(500).json({ meta: null });
+  }
+});
+
+app.get(['/stream/:type/:id.json', '/:config/stream/:type/:id.json'], async (req, res) => {
+  try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      return res.json({ streams: [] });
+    }
+    
+    const cache = await loadCache(userConfig);
+    const { channelId, start } = parseVideoId(req.params.id);
+    const channel = cache.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      return res.json({ streams: [] });
+    }
+    
+    // A finished programme on a catch-up channel plays from the archive
+    let programme = null;
+    if (start && channel.catchup && start * 1000 < Date.now()) {
+      programme = await findProgramme(cache, userConfig, channel, start);
+      if (programme && programme.stop > Date.now()) programme = null;
+    }
+    
+    // Probes get a short head start; any still running finish in the
+    // background and this response uses what is already known
+    const probing = userConfig.quality_probe || userConfig.quality_variants;
+    let probed = true;
+    if (probing) {
+      probed = await Promise.race([
+        probeVariants(channel.streamInfo.urls).then(() => true),
+        new Promise(resolve => setTimeout(resolve, PROBE_WAIT, false))
+      ]);
+    }
+    
+    const streams = orderStreams(channel, userConfig).flatMap(({ stream, index }) => {
+      const catchupUrl = programme ? buildCatchupUrl(stream.url, channel.catchup, programme) : null;
+      const url = catchupUrl || stream.url;
+      const variants = probing && !catchupUrl ? getVariants(stream) : [];
+      const prefix = getProxyPrefix(req, channel.id, index);
+      const behaviorHints = getStreamBehaviorHints(stream, userConfig.proxy);
+      const label = (quality) => `📺 ${channel.name} [Source ${(stream.sourceIndex ?? channel.sourceIndex) + 1}${quality ? ` · ${quality}` : ''}]`;
+      
+      let details = '';
+      if (variants.length > 1) details = `\n🎞️ Adaptive · up to ${describeVariant(variants[0])}`;
+      else if (variants.length === 1) details = `\n🎞️ ${describeVariant(variants[0])}`;
+      
+      const entries = [{
+        name: `${label(getStreamQuality(stream, userConfig))}${index > 0 ? ` (${index + 1})` : ''}${stream.health && !stream.health.ok ? ' ⚠️' : ''}`,
+        title: catchupUrl ? `⏪ ${programme.title} (${formatTime(programme.start, userConfig.timezone)})` : `${channel.name}${details}`,
+        url: userConfig.proxy ? buildProxyUrl(prefix, url) : url,
+        behaviorHints
+      }];
+      
+      // Each video rendition of a master playlist as a fixed-quality stream;
+      // audio-only ones are left to the adaptive stream
+      if (userConfig.quality_variants && variants.length > 1) {
+        const sorted = variants
+          .filter(variant => variant.height)
+          .sort((a, b) => compareQuality(a.quality, b.quality, userConfig.preferred_quality));
+        for (const variant of sorted) {
+          entries.push({
+            name: label(variant.quality),
+            title: `${channel.name}\n🎞️ ${describeVariant(variant)}`,
+            url: userConfig.proxy ? buildProxyUrl(prefix, variant.url) : variant.url,
+            behaviorHints
+          });
+        }
+      }
+      
+      return entries;
+    });
+    
+    // Not cached for long while variants are still missing
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', `public, max-age=${probed ? 3600 : PROBE_PENDING_MAX_AGE}`);
     res.json({ streams });
   } catch (error) {
-    console.error('❌ Stream error:', error);
+    console.error('❌ Stream error:', redact(error.stack || error.message));
     res.status(500).json({ streams: [] });
   }
 });
 
+app.get(['/proxy/:channelId/:index/:signature/:name', '/:config/proxy/:channelId/:index/:signature/:name'], async (req, res) => {
+  try {
+    const userConfig = resolveConfig(req);
+    const url = req.query.u;
+    
+    if (!userConfig || !userConfig.proxy || !url || !verifyUrl(url, req.params.signature)) {
+      return res.status(403).end();
+    }
+    
+    const cache = await loadCache(userConfig);
+    const channel = cache.channels.find(ch => ch.id === req.params.channelId);
+    const index = parseInt(req.params.index) || 0;
+    const stream = channel && channel.streamInfo.urls[index];
+    
+    if (!stream) {
+      return res.status(404).end();
+    }
+    
+    const prefix = getProxyPrefix(req, channel.id, index);
+    
+    await proxyStream(req, res, {
+      url,
+      headers: stream.headers,
+      makeProxyUrl: (target) => buildProxyUrl(prefix, target)
+    });
+  } catch (error) {
+    console.error('❌ Proxy error:', error.message);
+    if (!res.headersSent) res.status(502).end();
+  }
+});
+
+// The lineup as an M3U playlist for other players (VLC, TiviMate, Kodi): one
+// entry per channel with its best-ranked stream, tvg-ids matching the guide
+// export linked in the url-tvg header
+app.get(['/playlist.m3u', '/:config/playlist.m3u'], async (req, res) => {
+  try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      return res.status(400).send('M3U URL or Xtream account required');
+    }
+    
+    const cache = await loadCache(userConfig);
+    const configSegment = req.params.config ? `/${req.params.config}` : '';
+    const channels = userConfig.hide_dead ? cache.channels.filter(ch => !isChannelDead(ch)) : cache.channels;
+    
+    const entries = channels.filter(ch => ch.streamInfo.urls.length > 0).map(channel => {
+      const [{ stream, index }] = orderStreams(channel, userConfig);
+      const epgId = getEpgChannelId(cache, userConfig, channel);
+      
+      return {
+        channel,
+        stream,
+        url: userConfig.proxy ? buildProxyUrl(getProxyPrefix(req, channel.id, index), stream.url) : stream.url,
+        proxied: userConfig.proxy,
+        tvgId: epgId ? getGuideChannel(cache, epgId).id : (channel.hasTvgId ? channel.tvgId : null)
+      };
+    });
+    
+    console.log(`📤 Playlist export: ${entries.length} channels`);
+    res.setHeader('Content-Type', 'audio/x-mpegurl; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    pipeline(Readable.from(generateM3U(entries, { epgUrl: `${getBaseUrl(req)}${configSegment}/epg.xml.gz` })), res, () => {});
+  } catch (error) {
+    console.error('❌ Playlist export error:', redact(error.stack || error.message));
+    res.status(500).end();
+  }
+});
+
+// XMLTV for the matched channels only, from `past` hours ago to `hours`
+// ahead (query parameters, defaults 2 and 48); gzipped for the .gz path
+app.get(['/epg.xml', '/epg.xml.gz', '/:config/epg.xml', '/:config/epg.xml.gz'], async (req, res) => {
+  try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      return res.status(400).send('M3U URL or Xtream account required');
+    }
+    
+    const cache = await loadCache(userConfig);
+    const now = Date.now();
+    const from = now - Math.min(parseInt(req.query.past) || 2, MAX_EXPORT_PAST_HOURS) * 60 * 60 * 1000;
+    const to = now + Math.min(parseInt(req.query.hours) || SCHEDULE_HOURS, MAX_EXPORT_FUTURE_HOURS) * 60 * 60 * 1000;
+    
+    const guideChannels = new Map();
+    for (const channel of cache.channels) {
+      const epgId = getEpgChannelId(cache, userConfig, channel);
+      if (!epgId || guideChannels.has(epgId)) continue;
+      
+      const guideChannel = getGuideChannel(cache, epgId);
+      guideChannels.set(epgId, {
+        id: guideChannel.id,
+        key: epgId,
+        names: guideChannel.names.length > 0 ? guideChannel.names : [channel.name],
+        icon: guideChannel.icon || channel.logo
+      });
+    }
+    
+    const gzip = req.path.endsWith('.gz');
+    const xml = Readable.from(generateXMLTV(Array.from(guideChannels.values()), channel => cache.epgIndex.getRange(channel.key, from, to)));
+    
+    console.log(`📤 Guide export: ${guideChannels.size} channels${gzip ? ' (gzip)' : ''}`);
+    res.setHeader('Content-Type', gzip ? 'application/gzip' : 'application/xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    
+    if (gzip) {
+      pipeline(xml, zlib.createGzip(), res, () => {});
+    } else {
+      pipeline(xml, res, () => {});
+    }
+  } catch (error) {
+    console.error('❌ Guide export error:', redact(error.stack || error.message));
+    res.status(500).end();
+  }
+});
+
+// Which playlist channels found guide data, and how; lists the ones that
+// didn't so they can be added to the EPG overrides
+app.get(['/epg-diagnostics.json', '/:config/epg-diagnostics.json'], async (req, res) => {
+  try {
+    const userConfig = resolveConfig(req);
+    
+    if (!userConfig) {
+      return res.status(400).json({ error: 'M3U URL or Xtream account required' });
+    }
+    
+    const cache = await loadCache(userConfig);
+    const methods = {};
+    const unmatched = [];
+    
+    for (const channel of cache.channels) {
+      const match = getEpgMatch(cache, userConfig, channel);
+      
+      if (match) {
+        methods[match.method] = (methods[match.method] || 0) + 1;
+      } else {
+        unmatched.push({ id: channel.id, name: channel.name, tvgId: channel.hasTvgId ? channel.tvgId : null, tvgName: channel.tvgName || null, group: channel.group });
+      }
+    }
+    
+    res.json({
+      epgLoaded: !!cache.epgIndex,
+      epgChannels: cache.epgIndex ? cache.epgIndex.channelCount : 0,
+      channels: cache.channels.length,
+      matched: cache.channels.length - unmatched.length,
+      methods,
+      unmatched
+    });
+  } catch (error) {
+    console.error('❌ EPG diagnostics error:', redact(error.stack || error.message));
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Latest status of each playlist, panel and guide of one config; only
+// served per config so nobody sees another user's sources
+app.get('/:config/sources.json', (req, res) => {
+  const userConfig = resolveConfig(req);
+  
+  if (!userConfig) {
+    return res.status(400).json({ error: 'M3U URL or Xtream account required' });
+  }
+  
+  const entry = caches.get(getConfigKey(userConfig));
+  const keys = entry ? [...entry.statusKeys.sources, ...entry.statusKeys.guides] : [];
+  
+  res.setHeader('Cache-Control', 'no-cache');
+  res.json({ sources: getSourceStatuses(keys) });
+});
+
 app.get('/health', (req, res) => {
+  const entries = Array.from(caches.values());
+  const lastUpdate = Math.max(0, ...entries.map(e => e.lastUpdate || 0));
+  const epgLastUpdate = Math.max(0, ...entries.map(e => e.epgLastUpdate || 0));
+  const streams = entries.flatMap(e => e.channels.flatMap(ch => ch.streamInfo.urls));
+  
   res.json({ 
     status: 'ok', 
-    channels: cache.channels.length,
-    genres: cache.genres.length,
-    epgLoaded: !!cache.epgData,
-    lastUpdate: cache.lastUpdate ? new Date(cache.lastUpdate).toISOString() : null,
-    epgLastUpdate: cache.epgLastUpdate ? new Date(cache.epgLastUpdate).toISOString() : null,
+    configs: entries.length,
+    channels: entries.reduce((sum, e) => sum + e.channels.length, 0),
+    genres: entries.reduce((sum, e) => sum + e.genres.length, 0),
+    epgLoaded: entries.some(e => !!e.epgIndex),
+    lastUpdate: lastUpdate ? new Date(lastUpdate).toISOString() : null,
+    epgLastUpdate: epgLastUpdate ? new Date(epgLastUpdate).toISOString() : null,
+    streamHealth: {
+      checked: streams.filter(s => s.health).length,
+      working: streams.filter(s => s.health && s.health.ok).length,
+      dead: streams.filter(s => s.health && !s.health.ok).length,
+      deadChannels: entries.reduce((sum, e) => sum + e.channels.filter(isChannelDead).length, 0)
+    },
+    sources: getSourceSummary(),
+    scheduledJobs: scheduler.size,
     uptime: process.uptime(),
     memory: process.memoryUsage()
   });
 });
 
 const PORT = process.env.PORT || 80;
+restoreSnapshots().catch(error => console.error('❌ Snapshot restore failed:', error.message));
+
 app.listen(PORT, () => {
   console.log(`🎬 HY TV running on port ${PORT}`);
   console.log(`🌐 Open http://localhost:${PORT}`);
@@ -0,0 +1,96 @@
+// Export a config's effective lineup (after rules, merging and guide matching)
+// for other players: an M3U playlist and an XMLTV guide holding only the
+// matched channels. Both are generators of text chunks so large lineups
+// stream out instead of being built in memory.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function escapeAttribute(value) {
+  return String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// XMLTV timestamps, always in UTC
+function formatXMLTVDate(time) {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())} +0000`;
+}
+
+// `entries` are { channel, stream, url, tvgId, proxied } with the stream to
+// export already chosen. Proxied URLs carry their headers server-side, so
+// only direct ones get #EXTVLCOPT (for VLC), #EXTHTTP and #KODIPROP lines.
+function* generateM3U(entries, { epgUrl } = {}) {
+  yield epgUrl ? `#EXTM3U url-tvg="${escapeAttribute(epgUrl)}"\n` : '#EXTM3U\n';
+
+  for (const { channel, stream, url, tvgId, proxied } of entries) {
+    const attributes = [];
+    if (tvgId) attributes.push(`tvg-id="${escapeAttribute(tvgId)}"`);
+    attributes.push(`tvg-name="${escapeAttribute(channel.tvgName || channel.name)}"`);
+    if (channel.logo) attributes.push(`tvg-logo="${escapeAttribute(channel.logo)}"`);
+    if (channel.chno != null) attributes.push(`tvg-chno="${channel.chno}"`);
+    attributes.push(`group-title="${escapeAttribute(channel.group)}"`);
+
+    if (channel.catchup && !proxied) {
+      attributes.push(`catchup="${channel.catchup.type}"`, `catchup-days="${channel.catchup.days}"`);
+      if (channel.catchup.source) attributes.push(`catchup-source="${escapeAttribute(channel.catchup.source)}"`);
+    }
+
+    let lines = `#EXTINF:-1 ${attributes.join(' ')},${channel.name.replace(/[\r\n]+/g, ' ')}\n`;
+
+    if (!proxied) {
+      const headers = stream.headers || {};
+      if (headers['User-Agent']) lines += `#EXTVLCOPT:http-user-agent=${headers['User-Agent']}\n`;
+      if (headers['Referer']) lines += `#EXTVLCOPT:http-referrer=${headers['Referer']}\n`;
+      if (Object.keys(headers).length > 0) lines += `#EXTHTTP:${JSON.stringify(headers)}\n`;
+
+      for (const [key, value] of Object.entries(stream.kodiProps || {})) {
+        lines += `#KODIPROP:${key}=${value}\n`;
+      }
+    }
+
+    yield `${lines}${url}\n`;
+  }
+}
+
+// `channels` are { id, names, icon } guide channels; `getProgrammes(channel)`
+// returns its programmes in the export window
+function* generateXMLTV(channels, getProgrammes) {
+  yield '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE tv SYSTEM "xmltv.dtd">\n<tv generator-info-name="HY TV">\n';
+
+  for (const channel of channels) {
+    let xml = `  <channel id="${escapeXml(channel.id)}">\n`;
+    for (const name of channel.names) xml += `    <display-name>${escapeXml(name)}</display-name>\n`;
+    if (channel.icon) xml += `    <icon src="${escapeXml(channel.icon)}" />\n`;
+    yield `${xml}  </channel>\n`;
+  }
+
+  for (const channel of channels) {
+    let xml = '';
+
+    for (const programme of getProgrammes(channel)) {
+      xml += `  <programme start="${formatXMLTVDate(programme.start)}" stop="${formatXMLTVDate(programme.stop)}" channel="${escapeXml(channel.id)}">\n`;
+      xml += `    <title>${escapeXml(programme.title || '')}</title>\n`;
+      if (programme.description) xml += `    <desc>${escapeXml(programme.description)}</desc>\n`;
+      for (const category of programme.categories || []) xml += `    <category>${escapeXml(category)}</category>\n`;
+      if (programme.icon) xml += `    <icon src="${escapeXml(programme.icon)}" />\n`;
+      xml += '  </programme>\n';
+    }
+
+    if (xml) yield xml;
+  }
+
+  yield '</tv>\n';
+}
+
+module.exports = {
+  generateM3U,
+  generateXMLTV
+};
@@ -1,59 +1,338 @@
-const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const { parseCatchup } = require('./catchup');
 
-class SimpleM3UParser {
-  async parseM3U(url) {
+// The playlist parser. Handles what real-world playlists throw at it:
+//   - BOMs and CRLF/CR line endings
+//   - #EXTINF attributes tokenised properly, so quoted values and channel
+//     names may contain commas, spaces and '=' (single or double quotes)
+//   - tvg-id, tvg-name, tvg-chno, tvg-logo, tvg-country, tvg-language,
+//     group-title and catchup attributes, with #EXTGRP as the group fallback
+//   - #EXTM3U url-tvg / x-tvg-url headers naming the playlist's own guide
+//   - #EXTVLCOPT, #EXTHTTP and #KODIPROP stream options and Kodi-style
+//     "url|User-Agent=..." header pipes
+
+const DEFAULT_GROUP = 'Other Channels';
+
+// Per-stream options collected from directives between #EXTINF and the URL
+function createStreamOptions() {
+  return { headers: {}, kodiProps: {} };
+}
+
+// "user-agent" -> "User-Agent"
+function normalizeHeaderName(name) {
+  return name.trim().toLowerCase().split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+}
+
+// Percent-decoded when it looks percent-encoded; '+' is kept as it is, since
+// base64 cookies and User-Agents use it literally
+function decodeHeaderValue(value) {
+  if (!/%[0-9a-f]{2}/i.test(value)) return value;
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// "User-Agent=foo&Referer=bar" as used by Kodi stream_headers and URL pipes
+function parseHeaderString(value) {
+  const headers = {};
+  for (const pair of value.split('&')) {
+    const equals = pair.indexOf('=');
+    if (equals === -1) continue;
+    const name = pair.substring(0, equals).trim();
+    if (name) headers[normalizeHeaderName(name)] = decodeHeaderValue(pair.substring(equals + 1).trim());
+  }
+  return headers;
+}
+
+const VLC_HEADER_OPTIONS = {
+  'http-referrer': 'Referer',
+  'http-referer': 'Referer',
+  'http-user-agent': 'User-Agent',
+  'http-origin': 'Origin',
+  'http-cookie': 'Cookie'
+};
+
+// #EXTVLCOPT:http-referrer=..., #EXTHTTP:{"cookie":"..."}, #KODIPROP:key=value
+function parseStreamDirective(line, options) {
+  const colon = line.indexOf(':');
+  const directive = line.substring(0, colon).toUpperCase();
+  const value = line.substring(colon + 1).trim();
+
+  if (directive === '#EXTHTTP') {
     try {
-      const response = await axios.get(url, {
-        headers: { 'User-Agent': 'Mozilla/5.0' },
-        timeout: 30000
-      });
-      
-      const lines = response.data.split('\n');
-      const channels = [];
-      let currentChannel = null;
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        
-        if (line.startsWith('#EXTINF:')) {
-          const metadata = line.substring(8).trim();
-          
-          // Extract name
-          const nameMatch = metadata.match(/,(.*)$/);
-          const name = nameMatch ? nameMatch[1].trim() : 'Unknown Channel';
-          
-          // Extract tvg-id
-          const tvgIdMatch = metadata.match(/tvg-id="([^"]+)"/);
-          const tvgId = tvgIdMatch ? tvgIdMatch[1] : null;
-          
-          // Extract logo
-          const logoMatch = metadata.match(/tvg-logo="([^"]+)"/);
-          const logo = logoMatch ? logoMatch[1] : null;
-          
-          // Extract group
-          const groupMatch = metadata.match(/group-title="([^"]+)"/);
-          const group = groupMatch ? groupMatch[1] : 'General';
-          
-          currentChannel = {
-            id: `tv|${tvgId || name.toLowerCase().replace(/[^\w]/g, '_')}`,
-            name,
-            tvgId,
-            logo,
-            group
-          };
-        } else if (line && line.startsWith('http') && currentChannel) {
-          currentChannel.url = line;
-          channels.push(currentChannel);
-          currentChannel = null;
-        }
+      const parsed = JSON.parse(value);
+      for (const [name, headerValue] of Object.entries(parsed)) {
+        options.headers[normalizeHeaderName(name)] = String(headerValue);
       }
-      
-      return channels;
-    } catch (error) {
-      console.error('Error parsing M3U:', error);
-      return [];
+    } catch (e) {
+      console.log('⚠️ Invalid #EXTHTTP JSON:', e.message);
     }
+    return;
+  }
+
+  const equals = value.indexOf('=');
+  if (equals === -1) return;
+
+  const key = value.substring(0, equals).trim().toLowerCase();
+  const optionValue = value.substring(equals + 1).trim();
+
+  if (directive === '#EXTVLCOPT') {
+    if (VLC_HEADER_OPTIONS[key]) options.headers[VLC_HEADER_OPTIONS[key]] = optionValue;
+    return;
+  }
+
+  options.kodiProps[key] = optionValue;
+
+  if (key === 'inputstream.adaptive.stream_headers' || key === 'inputstream.adaptive.common_headers') {
+    Object.assign(options.headers, parseHeaderString(optionValue));
+  }
+}
+
+// Kodi-style "http://host/stream.m3u8|User-Agent=foo&Referer=bar"
+function splitUrlHeaders(line) {
+  const pipe = line.indexOf('|');
+  if (pipe === -1) return { url: line, headers: {} };
+  return { url: line.substring(0, pipe), headers: parseHeaderString(line.substring(pipe + 1)) };
+}
+
+// Tokenise the part of a directive after its colon: a leading duration, then
+// key=value attributes (quoted or bare, keys lower-cased), then optionally
+// the title after the first comma that isn't inside quotes.
+// '-1 tvg-id="a" group-title="News, UK",BBC News' ->
+//   { duration: '-1', attributes: { 'tvg-id': 'a', 'group-title': 'News, UK' }, title: 'BBC News' }
+function parseDirective(text) {
+  const attributes = {};
+  let position = 0;
+
+  const skipSpaces = () => {
+    while (position < text.length && /\s/.test(text[position])) position++;
+  };
+  const readBare = (stops) => {
+    const start = position;
+    while (position < text.length && !stops.test(text[position])) position++;
+    return text.substring(start, position);
+  };
+
+  skipSpaces();
+  const duration = /[-\d]/.test(text[position] || '') ? readBare(/[\s,]/) : '';
+
+  while (position < text.length) {
+    skipSpaces();
+    if (position >= text.length || text[position] === ',') break;
+
+    const key = readBare(/[\s,=]/).toLowerCase();
+    if (!key) {
+      position++;
+      continue;
+    }
+
+    skipSpaces();
+    if (text[position] !== '=') {
+      attributes[key] = '';
+      continue;
+    }
+
+    position++;
+    skipSpaces();
+
+    const quote = text[position];
+    if (quote === '"' || quote === "'") {
+      const end = text.indexOf(quote, position + 1);
+      attributes[key] = text.substring(position + 1, end === -1 ? text.length : end);
+      position = end === -1 ? text.length : end + 1;
+    } else {
+      attributes[key] = readBare(/[\s,]/);
+    }
+  }
+
+  const title = text[position] === ',' ? text.substring(position + 1).trim() : '';
+
+  return { duration, attributes, title };
+}
+
+// Non-empty trimmed attribute value, or null
+function attribute(attributes, ...names) {
+  for (const name of names) {
+    const value = attributes[name] && attributes[name].trim();
+    if (value) return value;
   }
+  return null;
+}
+
+// Guide URLs declared in the #EXTM3U header; some playlists list several
+// comma-separated in one attribute
+function parseHeader(text) {
+  const { attributes } = parseDirective(text);
+  const value = attribute(attributes, 'url-tvg', 'x-tvg-url', 'tvg-url') || '';
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+function isStreamUrl(line) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(line);
+}
+
+// Line-at-a-time playlist parser, so playlists can be parsed as they stream
+// in without ever holding the whole text. Options:
+//   sourceIndex   - source number, part of channel IDs and stream labels
+//   limit         - stop after this many channels
+//   filter        - predicate deciding which channels are kept; the others
+//                   are dropped as they are parsed and don't count to the limit
+//   detectQuality - stream quality label from the channel name (shared with
+//                   the Xtream loader)
+class PlaylistParser {
+  constructor({ sourceIndex = 0, limit = Infinity, filter = null, detectQuality = () => null } = {}) {
+    this.sourceIndex = sourceIndex;
+    this.limit = limit;
+    this.filter = filter;
+    this.detectQuality = detectQuality;
+    this.channels = [];
+    this.genres = new Set();
+    this.epgUrls = [];
+    this.current = null;
+    this.groupFallback = null;
+    this.streamOptions = createStreamOptions();
+    this.truncated = false;
+  }
+
+  // Returns false once the limit is reached and further lines are pointless.
+  // trim() also drops a leading BOM and the \r of CRLF files.
+  addLine(rawLine) {
+    const line = rawLine.trim();
+    if (!line) return true;
+
+    const upper = line.substring(0, 11).toUpperCase();
+
+    if (upper.startsWith('#EXTM3U')) {
+      this.epgUrls.push(...parseHeader(line.substring(7)));
+    } else if (upper.startsWith('#EXTINF:')) {
+      this.current = this.createChannel(line.substring(8));
+    } else if (upper.startsWith('#EXTGRP:')) {
+      this.groupFallback = line.substring(8).trim() || null;
+    } else if (upper.startsWith('#EXTVLCOPT:') || upper.startsWith('#EXTHTTP:') || upper.startsWith('#KODIPROP:')) {
+      parseStreamDirective(line, this.streamOptions);
+    } else if (this.current && !line.startsWith('#') && isStreamUrl(line)) {
+      return this.addStream(line);
+    }
+
+    return true;
+  }
+
+  createChannel(text) {
+    const { attributes, title } = parseDirective(text);
+    const name = title || attribute(attributes, 'tvg-name') || 'Unknown';
+    const tvgIdAttribute = attribute(attributes, 'tvg-id');
+    const tvgId = tvgIdAttribute || name.toLowerCase().replace(/[^\w]/g, '_');
+    const tvgName = attribute(attributes, 'tvg-name');
+    const chno = parseFloat(attribute(attributes, 'tvg-chno', 'channel-number'));
+
+    return {
+      id: `tv|${tvgId}_${this.sourceIndex}`,
+      name: name,
+      tvgId: tvgId,
+      tvgName: tvgName,
+      chno: isNaN(chno) ? null : chno,
+      logo: attribute(attributes, 'tvg-logo', 'logo'),
+      group: attribute(attributes, 'group-title'),
+      country: attribute(attributes, 'tvg-country'),
+      language: attribute(attributes, 'tvg-language'),
+      sourceIndex: this.sourceIndex,
+      hasTvgId: !!tvgIdAttribute,
+      catchup: parseCatchup(
+        attribute(attributes, 'catchup', 'catchup-type'),
+        attribute(attributes, 'catchup-days', 'timeshift'),
+        attribute(attributes, 'catchup-source')
+      ),
+      streamInfo: { urls: [], tvg: { id: tvgId, name: tvgName || name } }
+    };
+  }
+
+  // Completes the current channel; false once it would go over the limit
+  addStream(line) {
+    const { url, headers } = splitUrlHeaders(line);
+    const channel = this.current;
+
+    channel.group = channel.group || this.groupFallback || DEFAULT_GROUP;
+    channel.streamInfo.urls.push({
+      url: url,
+      name: channel.name,
+      sourceIndex: this.sourceIndex,
+      quality: this.detectQuality(channel.name),
+      headers: { ...this.streamOptions.headers, ...headers },
+      kodiProps: this.streamOptions.kodiProps
+    });
+
+    this.current = null;
+    this.groupFallback = null;
+    this.streamOptions = createStreamOptions();
+
+    if (this.filter && !this.filter(channel)) return true;
+
+    if (this.channels.length >= this.limit) {
+      this.truncated = true;
+      return false;
+    }
+
+    this.channels.push(channel);
+    this.genres.add(channel.group);
+    return true;
+  }
+
+  // { channels, genres, epgUrls, truncated }
+  result() {
+    return {
+      channels: this.channels,
+      genres: Array.from(this.genres),
+      epgUrls: this.epgUrls,
+      truncated: this.truncated
+    };
+  }
+}
+
+// Parse playlist text; see PlaylistParser for the options
+function parsePlaylist(text, options) {
+  const parser = new PlaylistParser(options);
+
+  for (const line of String(text || '').split(/\r\n|\r|\n/)) {
+    if (!parser.addLine(line)) break;
+  }
+
+  return parser.result();
+}
+
+// Parse a playlist from a (decompressed) byte stream line by line. The
+// stream is destroyed once the limit is reached, so the rest is never
+// downloaded. The result also carries the number of bytes read;
+// `options.onProgress` is called with that count as data arrives.
+async function parsePlaylistStream(input, options = {}) {
+  const parser = new PlaylistParser(options);
+  const decoder = new StringDecoder('utf8');
+  let rest = '';
+  let bytes = 0;
+
+  try {
+    for await (const chunk of input) {
+      bytes += chunk.length;
+      if (options.onProgress) options.onProgress(bytes);
+      const lines = (rest + decoder.write(chunk)).split(/\r\n|\r|\n/);
+      rest = lines.pop();
+
+      for (const line of lines) {
+        if (!parser.addLine(line)) return { ...parser.result(), bytes };
+      }
+    }
+
+    parser.addLine(rest + decoder.end());
+  } finally {
+    input.destroy();
+  }
+
+  return { ...parser.result(), bytes };
 }
 
-module.exports = new SimpleM3UParser();
\ No newline at end of file
+module.exports = {
+  parsePlaylist,
+  parsePlaylistStream,
+  parseDirective
+};
@@ -0,0 +1,38 @@
+// Log redaction. Playlist and guide URLs routinely carry Xtream usernames and
+// passwords, in the query string or the path, so anything logged goes
+// through redact() first.
+
+const SECRET_PARAMS = /^(user(name)?|pass(word)?|pwd|token|key|api_?key|auth|secret|sig(nature)?)$/i;
+const XTREAM_PATH = /\/(live|movie|series|timeshift)\/[^/]+\/[^/]+\//i;
+// get.php?type=m3u_plus playlists list live streams as /<user>/<pass>/<id>
+const XTREAM_BARE_PATH = /^\/[^/]+\/[^/]+\/(\d+(\.\w+)?)$/;
+const URL_PATTERN = /\b[a-z][a-z0-9+.-]*:\/\/[^\s"'<>,]+/gi;
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+
+    if (parsed.username) parsed.username = '***';
+    if (parsed.password) parsed.password = '***';
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_PARAMS.test(name)) parsed.searchParams.set(name, '***');
+    }
+    parsed.pathname = parsed.pathname
+      .replace(XTREAM_PATH, '/$1/***/***/')
+      .replace(XTREAM_BARE_PATH, '/***/***/$1');
+
+    return parsed.toString().replace(/%2A%2A%2A/g, '***');
+  } catch (e) {
+    return url;
+  }
+}
+
+// Redact every URL inside `text`
+function redact(text) {
+  return String(text).replace(URL_PATTERN, redactUrl);
+}
+
+module.exports = {
+  redact,
+  redactUrl
+};
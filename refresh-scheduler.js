@@ -0,0 +1,73 @@
+// Background refresh jobs. Each job reruns its task on a fixed interval;
+// run() de-duplicates concurrent work on the same source so configs that
+// share a playlist or guide only download it once.
+
+// A task that fails (throws or resolves false) is retried sooner, starting
+// at RETRY_DELAY and doubling up to its normal interval
+const RETRY_DELAY = parseInt(process.env.REFRESH_RETRY_DELAY_MS) || 60 * 1000;
+
+class RefreshScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.inflight = new Map();
+  }
+
+  // Run `task` unless one is already running for `key`, in which case the
+  // caller gets the in-flight promise
+  run(key, task) {
+    if (this.inflight.has(key)) {
+      console.log('⏳ Refresh already running, sharing its result');
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(task)
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  // Call `task` every `intervalMs` until cancelled, sooner after failures.
+  // `failing` starts with the retry delay, for a first run that already
+  // failed. Timers are unref'd so they never keep the process alive on their own.
+  schedule(jobKey, intervalMs, task, { failing = false } = {}) {
+    this.cancel(jobKey);
+
+    const job = { intervalMs, timer: null, failures: failing ? 1 : 0 };
+    const tick = async () => {
+      let ok = false;
+      try {
+        ok = (await task()) !== false;
+      } catch (error) {
+        console.error('❌ Scheduled refresh failed:', error.message);
+      }
+      job.failures = ok ? 0 : job.failures + 1;
+      if (this.jobs.get(jobKey) === job) arm();
+    };
+    const arm = () => {
+      const delay = job.failures > 0
+        ? Math.min(intervalMs, RETRY_DELAY * 2 ** (job.failures - 1))
+        : intervalMs;
+      if (job.failures > 0) console.log(`🔁 Retrying ${jobKey.split(':').pop()} refresh in ${Math.round(delay / 1000)}s`);
+      job.timer = setTimeout(tick, delay);
+      if (job.timer.unref) job.timer.unref();
+    };
+
+    this.jobs.set(jobKey, job);
+    arm();
+  }
+
+  cancel(jobKey) {
+    const job = this.jobs.get(jobKey);
+    if (!job) return;
+    clearTimeout(job.timer);
+    this.jobs.delete(jobKey);
+  }
+
+  get size() {
+    return this.jobs.size;
+  }
+}
+
+module.exports = new RefreshScheduler();
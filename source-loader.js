@@ -0,0 +1,193 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, pipeline, addAbortSignal } = require('stream');
+const { fileURLToPath } = require('url');
+const diskCache = require('./disk-cache');
+
+// Where playlists and guides come from, for both the M3U and the EPG loader:
+//   http(s) URL      - fetched, conditionally when a previous ETag/Last-Modified is known
+//   file:// or path  - a file under SOURCES_DIR (e.g. mounted into the container)
+//   inline text      - a playlist pasted into the config
+// Content is decompressed by sniffing, so .gz and .zip work whatever the name.
+
+const SOURCES_DIR = path.resolve(process.env.SOURCES_DIR || path.join(diskCache.dir, 'sources'));
+const MAX_ZIP_SIZE = 200 * 1024 * 1024;
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+function isRemote(spec) {
+  return /^https?:\/\//i.test(spec);
+}
+
+// http(s) URLs, file:// URLs and plain paths; anything else with a scheme is not a source
+function isSourceSpec(spec) {
+  return !!spec && (isRemote(spec) || /^file:\/\//i.test(spec) || !/^[a-z][a-z0-9+.-]*:/i.test(spec));
+}
+
+// Absolute path of a local source, refusing anything outside SOURCES_DIR
+async function resolveLocalPath(spec) {
+  const target = /^file:\/\//i.test(spec) ? fileURLToPath(spec) : spec;
+  const resolved = await fs.promises.realpath(path.resolve(SOURCES_DIR, target));
+  const root = await fs.promises.realpath(SOURCES_DIR).catch(() => SOURCES_DIR);
+
+  if (!resolved.startsWith(root + path.sep)) {
+    const error = new Error('Local sources must be inside the sources directory');
+    error.retryable = false;
+    throw error;
+  }
+
+  return resolved;
+}
+
+// Pull the playlist or guide out of a zip archive: the first .m3u/.m3u8/.xml
+// entry, or else the first file. Stored and deflated entries are supported.
+function extractZip(buffer) {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('Invalid zip archive');
+
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let n = buffer.readUInt16LE(end + 10); n > 0; n--) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid zip directory');
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    entries.push({
+      method: buffer.readUInt16LE(offset + 10),
+      size: buffer.readUInt32LE(offset + 20),
+      name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+      header: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  const files = entries.filter(entry => !entry.name.endsWith('/'));
+  const entry = files.find(file => /\.(m3u8?|xml)$/i.test(file.name)) || files[0];
+  if (!entry) throw new Error('Empty zip archive');
+
+  const start = entry.header + 30 + buffer.readUInt16LE(entry.header + 26) + buffer.readUInt16LE(entry.header + 28);
+  const data = buffer.subarray(start, start + entry.size);
+
+  if (entry.method === 0) return data;
+  if (entry.method === 8) return zlib.inflateRawSync(data);
+  throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
+
+async function readZip(input) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of input) {
+    size += chunk.length;
+    if (size > MAX_ZIP_SIZE) {
+      input.destroy();
+      throw new Error('Zip archive too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return Readable.from([extractZip(Buffer.concat(chunks))]);
+}
+
+// Resolves with the stream itself, a gunzip stream when the first bytes are
+// the gzip magic number, or the extracted entry of a zip archive
+function decompress(input) {
+  return new Promise((resolve, reject) => {
+    const onData = (chunk) => {
+      cleanup();
+      input.pause();
+      input.unshift(chunk);
+
+      if (chunk[0] === 0x1f && chunk[1] === 0x8b) {
+        // pipeline() so a consumer that stops early also ends the download
+        resolve(pipeline(input, zlib.createGunzip(), () => {}));
+      } else if (chunk[0] === 0x50 && chunk[1] === 0x4b && chunk[2] === 0x03 && chunk[3] === 0x04) {
+        readZip(input).then(resolve, reject);
+      } else {
+        resolve(input);
+      }
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(input);
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+    const cleanup = () => {
+      input.removeListener('data', onData);
+      input.removeListener('end', onEnd);
+      input.removeListener('error', onError);
+    };
+
+    input.on('data', onData);
+    input.once('end', onEnd);
+    input.once('error', onError);
+  });
+}
+
+// Open a source. `previous` ({ etag, lastModified }) from the last load makes
+// the fetch conditional; aborting `signal` cancels the request or read.
+// Resolves with { notModified: true } or with { stream, etag, lastModified }
+// where stream is already decompressed.
+async function openSource(spec, { previous = null, timeout = 30000, signal } = {}) {
+  if (isRemote(spec)) {
+    const headers = { ...REQUEST_HEADERS };
+    if (previous && previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous && previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+    const response = await axios.get(spec, {
+      responseType: 'stream',
+      timeout,
+      headers,
+      maxRedirects: 3,
+      signal,
+      validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && !!previous)
+    });
+
+    if (response.status === 304) {
+      response.data.resume();
+      return { notModified: true };
+    }
+
+    return {
+      stream: await decompress(signal ? addAbortSignal(signal, response.data) : response.data),
+      etag: response.headers['etag'],
+      lastModified: response.headers['last-modified']
+    };
+  }
+
+  const file = await resolveLocalPath(spec);
+  const stat = await fs.promises.stat(file);
+  const etag = `"${stat.size}-${Math.floor(stat.mtimeMs)}"`;
+
+  if (previous && previous.etag === etag) return { notModified: true };
+
+  const input = fs.createReadStream(file);
+
+  return {
+    stream: await decompress(signal ? addAbortSignal(signal, input) : input),
+    etag,
+    lastModified: stat.mtime.toUTCString()
+  };
+}
+
+function openInline(text) {
+  return { stream: Readable.from([Buffer.from(String(text), 'utf8')]) };
+}
+
+module.exports = {
+  isSourceSpec,
+  openSource,
+  openInline
+};
@@ -0,0 +1,163 @@
+const { redact } = require('./redact');
+
+// Loading a config's playlists, panels and guides. Sources run a few at a
+// time, each attempt under its own idle timeout (so a large guide that keeps
+// arriving is never cut off); failed attempts are retried with exponential
+// backoff. The latest outcome of every source is kept as a status record,
+// which configs look up by key for their own sources.
+
+const SOURCE_CONCURRENCY = parseInt(process.env.SOURCE_CONCURRENCY) || 2;
+const SOURCE_TIMEOUT = parseInt(process.env.SOURCE_TIMEOUT_MS) || 60000;
+const SOURCE_RETRIES = Math.max(0, parseInt(process.env.SOURCE_RETRIES ?? '2') || 0);
+const SOURCE_RETRY_DELAY = parseInt(process.env.SOURCE_RETRY_DELAY_MS) || 2000;
+const MAX_STATUS_RECORDS = 100;
+
+// Local file problems won't fix themselves on a retry
+const PERMANENT_ERROR_CODES = ['ENOENT', 'ENOTDIR', 'EISDIR', 'EACCES', 'EPERM', 'ERR_INVALID_URL'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Latest status per source, shared by every config that lists it. Only ever
+// served per config, since the labels show other users' hosts and paths.
+const statuses = new Map();
+
+// Network errors, timeouts, 5xx, 408 and 429 are worth another attempt.
+// Errors can opt out with `retryable = false`.
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+
+  const status = error.response && error.response.status;
+  if (status) return status >= 500 || status === 408 || status === 429;
+
+  return !PERMANENT_ERROR_CODES.includes(error.code);
+}
+
+// Run `task(signal, progress)`, aborting the signal and rejecting once `ms`
+// pass without the task calling `progress()`
+function withIdleTimeout(task, ms) {
+  const controller = new AbortController();
+  let timer;
+  let expire;
+  let settled = false;
+
+  const progress = () => {
+    if (settled) return;
+    clearTimeout(timer);
+    timer = setTimeout(expire, ms);
+  };
+
+  const timeout = new Promise((_, reject) => {
+    expire = () => {
+      const error = new Error(`No data for ${Math.round(ms / 1000)}s`);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+      reject(error);
+    };
+    progress();
+  });
+  const running = Promise.resolve().then(() => task(controller.signal, progress));
+
+  // A task that settles after its timeout must not become an unhandled rejection
+  running.catch(() => {});
+
+  return Promise.race([running, timeout]).finally(() => {
+    settled = true;
+    clearTimeout(timer);
+  });
+}
+
+// Key of a source's status record
+function getStatusKey(kind, source) {
+  return `${kind}:${source.id}`;
+}
+
+function updateStatus(kind, source, changes) {
+  const key = getStatusKey(kind, source);
+  const status = {
+    ...(statuses.get(key) || { kind, source: redact(source.label), lastSuccess: null, lastError: null, lastErrorAt: null }),
+    ...changes
+  };
+
+  // Re-inserted so the oldest records are the first dropped
+  statuses.delete(key);
+  statuses.set(key, status);
+  if (statuses.size > MAX_STATUS_RECORDS) statuses.delete(statuses.keys().next().value);
+}
+
+async function loadSource(kind, source, position, task, timeout) {
+  const started = Date.now();
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { data, stats = {} } = await withIdleTimeout((signal, progress) => task(source, signal, position, progress), timeout);
+
+      updateStatus(kind, source, {
+        ok: true,
+        lastSuccess: new Date().toISOString(),
+        attempts: attempt,
+        durationMs: Date.now() - started,
+        channels: stats.channels ?? null,
+        programmes: stats.programmes ?? null,
+        bytes: stats.bytes ?? null,
+        notModified: !!stats.notModified
+      });
+      return data;
+    } catch (error) {
+      if (attempt <= SOURCE_RETRIES && isRetryable(error)) {
+        const delay = SOURCE_RETRY_DELAY * 2 ** (attempt - 1);
+        console.log(`🔁 ${redact(source.label).substring(0, 60)} failed (${redact(error.message)}), retrying in ${delay / 1000}s`);
+        await sleep(delay);
+        continue;
+      }
+
+      console.error(`❌ ${redact(source.label).substring(0, 60)} failed after ${attempt} attempt(s):`, redact(error.message));
+      updateStatus(kind, source, {
+        ok: false,
+        lastError: redact(error.message),
+        lastErrorAt: new Date().toISOString(),
+        attempts: attempt,
+        durationMs: Date.now() - started
+      });
+      return null;
+    }
+  }
+}
+
+// Load `sources` ({ id, label }) of one kind ('playlist', 'xtream', 'guide')
+// with `task(source, signal, position, progress)`, which resolves with
+// { data, stats } where stats may hold channels, programmes, bytes and
+// notModified. Tasks that stream call `progress()` as data arrives. Resolves
+// with each source's data in the original order, null for those that failed.
+async function loadSources(kind, sources, task, { concurrency = SOURCE_CONCURRENCY, timeout = SOURCE_TIMEOUT } = {}) {
+  const results = new Array(sources.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < sources.length) {
+      const position = next++;
+      results[position] = await loadSource(kind, sources[position], position, task, timeout);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), sources.length) }, worker));
+  return results;
+}
+
+// Status records for the given keys, skipping sources not loaded yet
+function getSourceStatuses(keys) {
+  return keys.map(key => statuses.get(key)).filter(Boolean);
+}
+
+// Counts over every source, safe to show without a config
+function getSourceSummary() {
+  const records = Array.from(statuses.values());
+  const failing = records.filter(status => !status.ok).length;
+  return { ok: records.length - failing, failing };
+}
+
+module.exports = {
+  loadSources,
+  getStatusKey,
+  getSourceStatuses,
+  getSourceSummary
+};
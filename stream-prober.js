@@ -0,0 +1,141 @@
+const axios = require('axios');
+const { isPlaylist } = require('./stream-proxy');
+
+// Background stream health checks. Each URL gets a short GET that stops at
+// the first bytes (or the whole playlist for HLS), recording the HTTP status,
+// time to first byte and whether an HLS manifest is actually one. Probes run
+// one at a time by default with a pause in between, so a big playlist doesn't
+// hammer its provider or use up a panel's connection limit.
+
+const PROBE_TIMEOUT = parseInt(process.env.PROBE_TIMEOUT_MS) || 10000;
+const PROBE_CONCURRENCY = parseInt(process.env.PROBE_CONCURRENCY) || 1;
+const PROBE_DELAY = parseInt(process.env.PROBE_DELAY_MS) || 500;
+const MAX_MANIFEST_SIZE = 256 * 1024;
+const RESULT_TTL = 24 * 60 * 60 * 1000;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Latest result per URL, shared by every config that lists the URL
+const results = new Map();
+
+async function probeStream(stream, { timeout = PROBE_TIMEOUT } = {}) {
+  const started = Date.now();
+  const result = { ok: false, status: null, ttfb: null, hls: null, error: null, checkedAt: started };
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await axios.get(stream.url, {
+      responseType: 'stream',
+      signal: controller.signal,
+      headers: { 'User-Agent': DEFAULT_USER_AGENT, ...(stream.headers || {}) },
+      maxRedirects: 5,
+      validateStatus: () => true
+    });
+
+    result.status = response.status;
+    const manifest = isPlaylist(stream.url, response.headers['content-type']);
+    let body = '';
+
+    for await (const chunk of response.data) {
+      if (result.ttfb === null) result.ttfb = Date.now() - started;
+      if (!manifest) break;
+      body += chunk.toString('utf8');
+      if (body.length > MAX_MANIFEST_SIZE) break;
+    }
+    response.data.destroy();
+
+    if (manifest) result.hls = /^\uFEFF?\s*#EXTM3U/.test(body);
+    result.ok = response.status < 400 && result.ttfb !== null && result.hls !== false;
+    if (response.status >= 400) result.error = `HTTP ${response.status}`;
+    else if (result.ttfb === null) result.error = 'Empty response';
+    else if (result.hls === false) result.error = 'Invalid HLS manifest';
+  } catch (error) {
+    result.error = controller.signal.aborted ? 'Timeout' : error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return result;
+}
+
+// Probe every stream of `channels` whose last result is older than `maxAge`,
+// attaching results as `stream.health`. Resolves to the number of probes run.
+async function probeChannels(channels, { maxAge = 0, concurrency = PROBE_CONCURRENCY, delay = PROBE_DELAY } = {}) {
+  const now = Date.now();
+  const pending = [];
+
+  for (const [url, result] of results) {
+    if (now - result.checkedAt > RESULT_TTL) results.delete(url);
+  }
+
+  for (const channel of channels) {
+    for (const stream of channel.streamInfo.urls) {
+      // Results restored from a disk snapshot count as well
+      const previous = results.get(stream.url) || stream.health;
+      if (previous && now - previous.checkedAt < maxAge) {
+        results.set(stream.url, previous);
+        stream.health = previous;
+      } else {
+        pending.push(stream);
+      }
+    }
+  }
+
+  let probed = 0;
+  const worker = async () => {
+    while (pending.length > 0) {
+      const stream = pending.shift();
+      const previous = results.get(stream.url);
+
+      // Another config may have probed the same URL in the meantime
+      if (!previous || previous.checkedAt < now) {
+        results.set(stream.url, await probeStream(stream));
+        probed++;
+        if (pending.length > 0) await sleep(delay);
+      }
+      stream.health = results.get(stream.url);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+  return probed;
+}
+
+// Copy known results onto freshly parsed channels so a playlist refresh
+// doesn't forget them until the next probe run
+function applyHealth(channels) {
+  for (const channel of channels) {
+    for (const stream of channel.streamInfo.urls) {
+      const result = results.get(stream.url);
+      if (result) stream.health = result;
+    }
+  }
+}
+
+// Rank for sorting a channel's streams: working (fastest first), unchecked, dead
+function healthRank(stream) {
+  if (!stream.health) return 1;
+  return stream.health.ok ? 0 : 2;
+}
+
+function compareStreams(a, b) {
+  const rank = healthRank(a) - healthRank(b);
+  if (rank !== 0 || healthRank(a) !== 0) return rank;
+  return a.health.ttfb - b.health.ttfb;
+}
+
+// True once every stream of the channel has been probed and failed
+function isChannelDead(channel) {
+  const urls = channel.streamInfo.urls;
+  return urls.length > 0 && urls.every(stream => stream.health && !stream.health.ok);
+}
+
+module.exports = {
+  probeStream,
+  probeChannels,
+  applyHealth,
+  compareStreams,
+  isChannelDead
+};
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { redact } = require('./redact');
+
+// Proxied URLs are signed so the route only fetches URLs this server handed
+// out, not arbitrary targets. A per-boot secret is fine: players re-request
+// the stream after a restart anyway.
+const PROXY_SECRET = process.env.PROXY_SECRET || crypto.randomBytes(32).toString('hex');
+const MAX_PLAYLIST_SIZE = 5 * 1024 * 1024;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+function signUrl(url) {
+  return crypto.createHmac('sha256', PROXY_SECRET).update(url).digest('hex').substring(0, 24);
+}
+
+function verifyUrl(url, signature) {
+  const expected = signUrl(url);
+  return typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// `prefix` is everything up to and including the channel/stream segment,
+// e.g. "https://host/<config>/proxy/tv%7Cbbc1_0/0"
+function buildProxyUrl(prefix, url) {
+  let name = 'stream';
+  try {
+    name = new URL(url).pathname.split('/').filter(Boolean).pop() || name;
+  } catch (e) {
+    // keep the generic name
+  }
+  return `${prefix}/${signUrl(url)}/${encodeURIComponent(name)}?u=${encodeURIComponent(url)}`;
+}
+
+function isPlaylist(url, contentType) {
+  if (/mpegurl/i.test(contentType || '')) return true;
+  try {
+    return /\.m3u8?$/i.test(new URL(url).pathname);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Point every variant, segment, key and map URI in an HLS playlist back
+// through the proxy, resolving relative URIs against the upstream URL
+function rewritePlaylist(body, upstreamUrl, makeProxyUrl) {
+  const resolve = (uri) => makeProxyUrl(new URL(uri, upstreamUrl).toString());
+
+  return body.split(/\r?\n/).map(line => {
+    const trimmed = line.trim();
+    if (!trimmed) return line;
+
+    if (trimmed.startsWith('#')) {
+      return trimmed.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${resolve(uri)}"`);
+    }
+
+    return resolve(trimmed);
+  }).join('\n');
+}
+
+// Fetch `url` with the stream's headers and relay it to the client: HLS
+// playlists are rewritten, everything else (TS segments, keys) is piped
+async function proxyStream(req, res, { url, headers, makeProxyUrl }) {
+  const requestHeaders = { 'User-Agent': DEFAULT_USER_AGENT, ...headers };
+  if (req.headers.range) requestHeaders.Range = req.headers.range;
+
+  const upstream = await axios.get(url, {
+    responseType: 'stream',
+    timeout: 20000,
+    headers: requestHeaders,
+    maxRedirects: 5,
+    validateStatus: () => true
+  });
+
+  const finalUrl = upstream.request?.res?.responseUrl || url;
+  const contentType = upstream.headers['content-type'];
+
+  if (upstream.status >= 400) {
+    upstream.data.destroy();
+    console.log(`⚠️ Proxy upstream ${upstream.status}:`, redact(url).substring(0, 80));
+    return res.status(upstream.status === 404 ? 404 : 502).end();
+  }
+
+  if (isPlaylist(finalUrl, contentType)) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of upstream.data) {
+      size += chunk.length;
+      if (size > MAX_PLAYLIST_SIZE) {
+        upstream.data.destroy();
+        return res.status(502).end();
+      }
+      chunks.push(chunk);
+    }
+
+    const body = Buffer.concat(chunks).toString('utf8');
+
+    // Some origins serve MPEG-TS under a .m3u8 name; only rewrite real playlists
+    if (body.trimStart().startsWith('#EXTM3U')) {
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      res.setHeader('Cache-Control', 'no-cache');
+      return res.send(rewritePlaylist(body, finalUrl, makeProxyUrl));
+    }
+
+    res.setHeader('Content-Type', contentType || 'video/mp2t');
+    return res.send(Buffer.concat(chunks));
+  }
+
+  res.status(upstream.status);
+  for (const header of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+    if (upstream.headers[header]) res.setHeader(header, upstream.headers[header]);
+  }
+
+  // pipeline() tears down both sides when either fails: an upstream reset
+  // mid-segment ends the response instead of crashing the server, and a
+  // player that goes away stops the download
+  await new Promise((resolve) => {
+    pipeline(upstream.data, res, (error) => {
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.log('⚠️ Proxy stream ended early:', redact(error.message));
+      }
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  isPlaylist,
+  buildProxyUrl,
+  verifyUrl,
+  rewritePlaylist,
+  proxyStream
+};
@@ -0,0 +1,210 @@
+const axios = require('axios');
+const { isPlaylist } = require('./stream-proxy');
+
+// Stream quality: a label from naming conventions, optionally refined by
+// reading HLS master playlists, whose #EXT-X-STREAM-INF lines give each
+// variant's BANDWIDTH, RESOLUTION and CODECS. Probe results are kept per URL
+// so a channel's streams are only fetched again once they go stale.
+
+const QUALITIES = ['4K', 'FHD', 'HD', 'SD'];
+const QUALITY_PROBE_TIMEOUT = parseInt(process.env.QUALITY_PROBE_TIMEOUT_MS) || 5000;
+const RESULT_TTL = 6 * 60 * 60 * 1000;
+const MAX_RESULTS = 5000;
+const MAX_MANIFEST_SIZE = 256 * 1024;
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+const CODEC_NAMES = [
+  [/^avc1|^avc3/, 'H.264'],
+  [/^hvc1|^hev1/, 'H.265'],
+  [/^av01/, 'AV1'],
+  [/^vp09|^vp9/, 'VP9'],
+  [/^mp4a/, 'AAC'],
+  [/^ac-3/, 'AC-3'],
+  [/^ec-3/, 'E-AC-3']
+];
+
+// Latest probe per master playlist URL: { variants, checkedAt }
+const results = new Map();
+// Probes under way per URL, so simultaneous requests share one fetch
+const running = new Map();
+
+// Quality label from common naming conventions ("BBC One FHD", "Rai 1 1080p")
+function detectQuality(name) {
+  const upper = String(name || '').toUpperCase();
+  if (/\b(4K|UHD|2160P?)\b/.test(upper)) return '4K';
+  if (/\b(FHD|1080[PI]?)\b/.test(upper)) return 'FHD';
+  if (/\b(HD|720P?)\b/.test(upper)) return 'HD';
+  if (/\b(SD|576[PI]?|480P?)\b/.test(upper)) return 'SD';
+  return null;
+}
+
+function qualityFromHeight(height) {
+  if (height >= 2160) return '4K';
+  if (height >= 1080) return 'FHD';
+  if (height >= 720) return 'HD';
+  return 'SD';
+}
+
+// BANDWIDTH=5000000,RESOLUTION=1920x1080,CODECS="avc1.640028,mp4a.40.2"
+function parseAttributeList(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attributes[name] = value.replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+function describeCodecs(codecs) {
+  const names = String(codecs || '').split(',').map(codec => {
+    const known = CODEC_NAMES.find(([pattern]) => pattern.test(codec.trim().toLowerCase()));
+    return known ? known[1] : null;
+  }).filter(Boolean);
+  return [...new Set(names)].join('/') || null;
+}
+
+// Variants of an HLS master playlist, best first; [] for media playlists.
+// Relative URIs are resolved against `baseUrl`.
+function parseMasterPlaylist(text, baseUrl) {
+  const lines = String(text).split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].startsWith('#EXT-X-STREAM-INF:')) continue;
+
+    const attributes = parseAttributeList(lines[i].substring(18));
+    let uri = null;
+    while (++i < lines.length) {
+      if (lines[i] && !lines[i].startsWith('#')) {
+        uri = lines[i];
+        break;
+      }
+    }
+    if (!uri) break;
+
+    const resolution = /^(\d+)x(\d+)$/i.exec(attributes.RESOLUTION || '');
+    const height = resolution ? parseInt(resolution[2]) : null;
+    const bandwidth = parseInt(attributes.BANDWIDTH) || null;
+
+    let url;
+    try {
+      url = new URL(uri, baseUrl).toString();
+    } catch (e) {
+      continue;
+    }
+
+    variants.push({
+      url,
+      bandwidth,
+      width: resolution ? parseInt(resolution[1]) : null,
+      height,
+      codecs: attributes.CODECS || null,
+      quality: height ? qualityFromHeight(height) : null
+    });
+  }
+
+  return variants.sort((a, b) => (b.height || 0) - (a.height || 0) || (b.bandwidth || 0) - (a.bandwidth || 0));
+}
+
+async function fetchVariants(stream) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), QUALITY_PROBE_TIMEOUT);
+
+  try {
+    const response = await axios.get(stream.url, {
+      responseType: 'stream',
+      signal: controller.signal,
+      headers: { 'User-Agent': DEFAULT_USER_AGENT, ...(stream.headers || {}) },
+      maxRedirects: 5
+    });
+
+    let body = '';
+    for await (const chunk of response.data) {
+      body += chunk.toString('utf8');
+      if (body.length > MAX_MANIFEST_SIZE) break;
+    }
+    response.data.destroy();
+
+    // Relative variant URIs are relative to where any redirects ended up
+    const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || stream.url;
+    return parseMasterPlaylist(body, finalUrl);
+  } catch (error) {
+    return [];
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Probe the HLS streams among `streams` whose last result is stale, in
+// parallel; a URL already being probed is not fetched twice. Failed probes
+// count as results too, so a broken URL isn't fetched again on every stream
+// request. Callers needn't wait: until a probe finishes, getVariants() and
+// getQuality() answer from the previous result or the channel name.
+function probeVariants(streams) {
+  const now = Date.now();
+
+  return Promise.all(streams.map((stream) => {
+    const previous = results.get(stream.url);
+    if ((previous && now - previous.checkedAt < RESULT_TTL) || !isPlaylist(stream.url)) return null;
+
+    if (!running.has(stream.url)) {
+      running.set(stream.url, fetchVariants(stream)
+        .then((variants) => {
+          results.delete(stream.url);
+          results.set(stream.url, { variants, checkedAt: Date.now() });
+          if (results.size > MAX_RESULTS) results.delete(results.keys().next().value);
+        })
+        .finally(() => running.delete(stream.url)));
+    }
+
+    return running.get(stream.url);
+  }));
+}
+
+// Known variants of a stream (best first), [] if not probed or not a master playlist
+function getVariants(stream) {
+  const result = results.get(stream.url);
+  return result ? result.variants : [];
+}
+
+// A stream's quality: its best probed variant, else what its name says
+function getQuality(stream) {
+  const variants = getVariants(stream);
+  return (variants.length > 0 && variants[0].quality) || stream.quality || null;
+}
+
+// "1920×1080 · 5.2 Mbps · H.264/AAC"
+function describeVariant(variant) {
+  const details = [];
+  if (variant.width && variant.height) details.push(`${variant.width}×${variant.height}`);
+  if (variant.bandwidth) details.push(`${(variant.bandwidth / 1000000).toFixed(1)} Mbps`);
+  const codecs = describeCodecs(variant.codecs);
+  if (codecs) details.push(codecs);
+  return details.join(' · ');
+}
+
+// Sort order for quality labels given the preferred one: the preferred
+// quality first, then the nearest (lower before higher), unknown last.
+// Without a preference the order is left alone.
+function compareQuality(a, b, preferred) {
+  const target = QUALITIES.indexOf(preferred);
+  if (target === -1) return 0;
+
+  const distance = (quality) => {
+    const rank = QUALITIES.indexOf(quality);
+    if (rank === -1) return QUALITIES.length * 2;
+    return rank >= target ? (rank - target) * 2 : (target - rank) * 2 + 1;
+  };
+
+  return distance(a) - distance(b);
+}
+
+module.exports = {
+  QUALITIES,
+  detectQuality,
+  parseMasterPlaylist,
+  probeVariants,
+  getVariants,
+  getQuality,
+  describeVariant,
+  compareQuality
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCatchup, buildCatchupUrl, expandTemplate } = require('../catchup');
+
+// 2024-03-01 20:05:09 to 21:05:09 UTC, watched at 22:35:09
+const programme = { start: Date.UTC(2024, 2, 1, 20, 5, 9), stop: Date.UTC(2024, 2, 1, 21, 5, 9) };
+const now = Date.UTC(2024, 2, 1, 22, 35, 9);
+
+test('normalises catch-up attributes', () => {
+  assert.equal(parseCatchup(null, null, null), null);
+  assert.deepEqual(parseCatchup('FS', '3', null), { type: 'flussonic', days: 3, source: null });
+  assert.deepEqual(parseCatchup(null, 'x', 'http://a/{utc}'), { type: 'default', days: 1, source: 'http://a/{utc}' });
+  assert.equal(parseCatchup('shift', '30', null).days, 7);
+});
+
+test('expands unix-time placeholders with and without "$"', () => {
+  assert.equal(expandTemplate('{utc}/${start}/{utcend}/${end}', programme, now), '1709323509/1709323509/1709327109/1709327109');
+  assert.equal(expandTemplate('{lutc}-${now}-{timestamp}', programme, now), '1709332509-1709332509-1709332509');
+  assert.equal(expandTemplate('{duration}/{offset}', programme, now), '3600/9000');
+});
+
+test('divides placeholders given a divider', () => {
+  assert.equal(expandTemplate('{duration:60}min', programme, now), '60min');
+  assert.equal(expandTemplate('${offset:60}', programme, now), '150');
+});
+
+test('expands UTC date parts and leaves unknown placeholders alone', () => {
+  assert.equal(expandTemplate('{Y}-{m}-{d}T{H}:{M}:{S}', programme, now), '2024-03-01T20:05:09');
+  assert.equal(expandTemplate('{channel}/${utc}', programme, now), '{channel}/1709323509');
+});
+
+test('uses catch-up-source as the whole URL for "default"', () => {
+  const catchup = parseCatchup('default', 2, 'http://archive.example.com/ch1?start={utc}&len={duration:60}');
+
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', catchup, programme, now),
+    'http://archive.example.com/ch1?start=1709323509&len=60');
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', parseCatchup('default', 2, null), programme, now), null);
+});
+
+test('appends catch-up-source to the live URL for "append"', () => {
+  const catchup = parseCatchup('append', 2, '?utc={utc}&lutc={lutc}');
+
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', catchup, programme, now),
+    'http://live.example.com/ch1.m3u8?utc=1709323509&lutc=1709332509');
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', parseCatchup('append', 2, null), programme, now), null);
+});
+
+test('adds utc and lutc to the live URL for "shift" and "timeshift"', () => {
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', parseCatchup('shift'), programme, now),
+    'http://live.example.com/ch1.m3u8?utc=1709323509&lutc=1709332509');
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8?token=a', parseCatchup('timeshift'), programme, now),
+    'http://live.example.com/ch1.m3u8?token=a&utc=1709323509&lutc=1709332509');
+});
+
+test('derives flussonic archive paths from HLS and MPEG-TS URLs', () => {
+  const catchup = parseCatchup('flussonic');
+
+  assert.equal(buildCatchupUrl('http://fs.example.com/ch1/index.m3u8?token=a', catchup, programme, now),
+    'http://fs.example.com/ch1/index-1709323509-3600.m3u8?token=a');
+  assert.equal(buildCatchupUrl('http://fs.example.com/ch1/video.m3u8', catchup, programme, now),
+    'http://fs.example.com/ch1/video-1709323509-3600.m3u8');
+  assert.equal(buildCatchupUrl('http://fs.example.com/live/ch1/mpegts?token=a', catchup, programme, now),
+    'http://fs.example.com/live/ch1/timeshift_abs-1709323509.ts?token=a');
+  assert.equal(buildCatchupUrl('http://fs.example.com/ch1.m3u8', catchup, programme, now), null);
+});
+
+test('returns null without catch-up settings, a programme or a known type', () => {
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', null, programme, now), null);
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', parseCatchup('shift'), null, now), null);
+  assert.equal(buildCatchupUrl('http://live.example.com/ch1.m3u8', parseCatchup('vod'), programme, now), null);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, applyRules } = require('../channel-rules');
+
+const channels = ['Sky Sports 1', 'Sky News', 'BBC One', 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa!'].map((name, i) => ({
+  id: `tv|c${i}`,
+  name,
+  group: name.startsWith('Sky') ? 'UK Sky' : 'UK'
+}));
+
+const names = (rules) => applyRules(channels, normalizeRules(rules)).channels.map(channel => channel.name);
+
+test('filters by case-insensitive patterns', () => {
+  assert.deepEqual(names({ include_names: 'sky (sports|news)' }), ['Sky Sports 1', 'Sky News']);
+  assert.deepEqual(names({ exclude_groups: '^uk sky$', exclude_names: '^a+!$' }), ['BBC One']);
+  assert.deepEqual(names({ include_names: '(?:bbc|itv) one\n[0-9]$' }), ['Sky Sports 1', 'BBC One']);
+});
+
+test('ignores patterns that could backtrack catastrophically', () => {
+  const all = channels.map(channel => channel.name);
+
+  for (const pattern of ['(a+)+$', '(a|aa)*$', '((a)*b?)+$', '(\\w+\\s?)*$', '(a)\\1', 'x'.repeat(101)]) {
+    assert.deepEqual(names({ exclude_names: pattern }), all, pattern);
+  }
+});
+
+test('ignores invalid patterns', () => {
+  assert.deepEqual(names({ include_names: '(unclosed\nbbc' }), ['BBC One']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { searchChannels } = require('../channel-search');
+
+const channels = [
+  { name: 'Sky Sports Main Event', tvgName: 'SkySportsMainEvent', group: 'Sport' },
+  { name: 'Sky News', tvgName: 'SkyNews', group: 'News' },
+  { name: 'BBC News', tvgName: 'BBCNews', group: 'News' },
+  { name: 'Télé Monte Carlo', tvgName: 'TMC', group: 'France' }
+];
+
+const names = (results) => results.map(channel => channel.name);
+
+test('ranks whole-name matches above scattered token matches', () => {
+  assert.deepEqual(names(searchChannels(channels, 'sky news')), ['Sky News']);
+  assert.deepEqual(names(searchChannels(channels, 'news')), ['Sky News', 'BBC News']);
+});
+
+test('folds accents and matches prefixes', () => {
+  assert.deepEqual(names(searchChannels(channels, 'tele mon')), ['Télé Monte Carlo']);
+});
+
+test('allows one typo in 4-7 letter words, counting a swap of adjacent letters as one', () => {
+  assert.deepEqual(names(searchChannels(channels, 'sky nwes')), ['Sky News']);
+  assert.deepEqual(names(searchChannels(channels, 'sky nems')), ['Sky News']);
+  assert.deepEqual(names(searchChannels(channels, 'sky nwse')), []);
+  assert.deepEqual(names(searchChannels(channels, 'bcb')), []);
+});
+
+test('matches the programmes on now and next', () => {
+  const results = searchChannels(channels, 'snooker', (channel) => (channel.name === 'BBC News' ? { next: 'World Snooker' } : {}));
+  assert.deepEqual(names(results), ['BBC News']);
+});
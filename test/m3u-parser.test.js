@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { parsePlaylist, parsePlaylistStream, parseDirective } = require('../m3u-parser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('tokenises quoted attributes and keeps commas in names', () => {
+  const { duration, attributes, title } = parseDirective('-1 tvg-id="a" group-title="News, UK" tvg-logo=\'http://x/y.png\' radio=true,BBC News, London');
+
+  assert.equal(duration, '-1');
+  assert.deepEqual(attributes, {
+    'tvg-id': 'a',
+    'group-title': 'News, UK',
+    'tvg-logo': 'http://x/y.png',
+    radio: 'true'
+  });
+  assert.equal(title, 'BBC News, London');
+});
+
+test('lower-cases attribute names and tolerates spaces around "="', () => {
+  const { attributes, title } = parseDirective('-1 TVG-ID = "a" Group-Title="b",Name');
+
+  assert.deepEqual(attributes, { 'tvg-id': 'a', 'group-title': 'b' });
+  assert.equal(title, 'Name');
+});
+
+test('parses CRLF playlists with a BOM and header guide URLs', () => {
+  const { channels, genres, epgUrls } = parsePlaylist(fixture('crlf-bom.m3u'), { sourceIndex: 2 });
+
+  assert.deepEqual(epgUrls, ['http://guide.example.com/a.xml.gz', 'http://guide.example.com/b.xml']);
+  assert.equal(channels.length, 2);
+  assert.deepEqual(genres, ['UK, General', 'Entertainment']);
+
+  const [bbc, itv] = channels;
+  assert.equal(bbc.id, 'tv|bbc1.uk_2');
+  assert.equal(bbc.name, 'BBC One, London');
+  assert.equal(bbc.tvgName, 'BBC One');
+  assert.equal(bbc.chno, 101);
+  assert.equal(bbc.logo, 'http://logo.example.com/bbc1.png');
+  assert.equal(bbc.country, 'UK');
+  assert.equal(bbc.language, 'English');
+  assert.equal(bbc.group, 'UK, General');
+  assert.equal(bbc.hasTvgId, true);
+  assert.equal(bbc.streamInfo.urls[0].url, 'http://stream.example.com/bbc1.m3u8');
+  assert.equal(bbc.streamInfo.urls[0].sourceIndex, 2);
+
+  assert.equal(itv.tvgId, 'itv1.uk');
+  assert.equal(itv.group, 'Entertainment');
+  assert.equal(itv.chno, null);
+});
+
+test('uses #EXTGRP when there is no group-title', () => {
+  const { channels, epgUrls } = parsePlaylist(fixture('extgrp.m3u'));
+
+  assert.deepEqual(epgUrls, ['http://guide.example.com/x.xml']);
+  assert.deepEqual(channels.map(channel => channel.group), ['Italia', 'Sport', 'Other Channels']);
+});
+
+test('collects stream options and header pipes per stream', () => {
+  const { channels } = parsePlaylist(fixture('options.m3u'));
+  const [protectedChannel, piped] = channels;
+
+  assert.equal(protectedChannel.name, 'Protected Channel');
+  assert.equal(protectedChannel.hasTvgId, false);
+  assert.equal(protectedChannel.tvgId, 'protected_channel');
+  assert.deepEqual(protectedChannel.catchup, { type: 'shift', days: 3, source: null });
+  assert.deepEqual(protectedChannel.streamInfo.urls[0].headers, {
+    'User-Agent': 'TestAgent/1.0',
+    Referer: 'http://referer.example.com/'
+  });
+  assert.deepEqual(protectedChannel.streamInfo.urls[0].kodiProps, { 'inputstream.adaptive.license_type': 'clearkey' });
+
+  assert.equal(piped.streamInfo.urls[0].url, 'http://stream.example.com/piped.m3u8');
+  assert.deepEqual(piped.streamInfo.urls[0].headers, {
+    Cookie: 'session=abc',
+    'User-Agent': 'PipeAgent',
+    Referer: 'http://pipe.example.com/'
+  });
+  assert.deepEqual(piped.streamInfo.urls[0].kodiProps, {});
+});
+
+test('keeps "+" in piped header values and decodes percent-encoding', () => {
+  const { channels } = parsePlaylist([
+    '#EXTM3U',
+    '#EXTINF:-1,Piped',
+    'http://stream.example.com/a.m3u8|Cookie=token=ab+c/d==&User-Agent=Agent%2F1.0%20(X)',
+    '#EXTINF:-1,Kodi',
+    '#KODIPROP:inputstream.adaptive.stream_headers=user-agent=Kodi+Player&referer=http://a.example/?q=1',
+    'http://stream.example.com/b.m3u8'
+  ].join('\n'));
+
+  assert.deepEqual(channels[0].streamInfo.urls[0].headers, {
+    Cookie: 'token=ab+c/d==',
+    'User-Agent': 'Agent/1.0 (X)'
+  });
+  assert.deepEqual(channels[1].streamInfo.urls[0].headers, {
+    'User-Agent': 'Kodi+Player',
+    Referer: 'http://a.example/?q=1'
+  });
+});
+
+test('skips entries without a URL and accepts non-http streams', () => {
+  const { channels } = parsePlaylist(fixture('options.m3u'));
+
+  assert.deepEqual(channels.map(channel => channel.tvgId), ['protected_channel', 'piped', 'rtmp', 'last']);
+  assert.equal(channels[3].streamInfo.urls[0].url, 'udp://239.0.0.1:1234');
+});
+
+test('stops at the channel limit', () => {
+  const result = parsePlaylist(fixture('options.m3u'), { limit: 2 });
+
+  assert.equal(result.channels.length, 2);
+  assert.equal(result.truncated, true);
+  assert.equal(parsePlaylist(fixture('options.m3u')).truncated, false);
+});
+
+test('labels stream quality with the given detector', () => {
+  const { channels } = parsePlaylist(fixture('crlf-bom.m3u'), {
+    detectQuality: (name) => (/\bHD\b/.test(name) ? 'HD' : null)
+  });
+
+  assert.deepEqual(channels.map(channel => channel.streamInfo.urls[0].quality), [null, 'HD']);
+});
+
+test('returns nothing for empty or non-playlist text', () => {
+  assert.deepEqual(parsePlaylist('').channels, []);
+  assert.deepEqual(parsePlaylist('<html>Not found</html>').channels, []);
+});
+
+test('parses a stream split mid-line the same as the whole text', async () => {
+  const bytes = fs.readFileSync(path.join(__dirname, 'fixtures', 'crlf-bom.m3u'));
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += 7) chunks.push(bytes.subarray(i, i + 7));
+
+  const { bytes: read, ...streamed } = await parsePlaylistStream(Readable.from(chunks), { sourceIndex: 2 });
+
+  assert.equal(read, bytes.length);
+  assert.deepEqual(streamed, parsePlaylist(fixture('crlf-bom.m3u'), { sourceIndex: 2 }));
+});
+
+test('stops reading the stream at the channel limit', async () => {
+  const input = Readable.from([fixture('options.m3u')]);
+  const result = await parsePlaylistStream(input, { limit: 1 });
+
+  assert.equal(result.channels.length, 1);
+  assert.equal(result.truncated, true);
+  assert.equal(input.destroyed, true);
+});
+
+test('drops filtered channels as it parses, without counting them to the limit', () => {
+  const result = parsePlaylist(fixture('options.m3u'), {
+    limit: 2,
+    filter: channel => channel.tvgId !== 'piped'
+  });
+
+  assert.deepEqual(result.channels.map(channel => channel.tvgId), ['protected_channel', 'rtmp']);
+  assert.equal(result.truncated, true);
+  assert.equal(parsePlaylist(fixture('options.m3u'), { limit: 3, filter: channel => channel.tvgId !== 'piped' }).truncated, false);
+});
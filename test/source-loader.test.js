@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
+const sourcesDir = path.join(root, 'sources');
+fs.mkdirSync(sourcesDir);
+process.env.SOURCES_DIR = sourcesDir;
+
+const { isSourceSpec, openSource } = require('../source-loader');
+
+const playlist = '#EXTM3U\n#EXTINF:-1 tvg-id="a",Channel A\nhttp://stream.example.com/a.m3u8\n';
+
+// A zip archive of `files` ({ name, data, method }), without CRCs since the
+// loader doesn't check them
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, method } of files) {
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, stored);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+async function readText(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+test.before(() => {
+  fs.writeFileSync(path.join(sourcesDir, 'list.m3u'), playlist);
+  fs.writeFileSync(path.join(sourcesDir, 'list.m3u.gz'), zlib.gzipSync(playlist));
+  fs.writeFileSync(path.join(sourcesDir, 'stored.zip'), makeZip([
+    { name: 'readme.txt', data: Buffer.from('not this one'), method: 0 },
+    { name: 'list.m3u', data: Buffer.from(playlist), method: 0 }
+  ]));
+  fs.writeFileSync(path.join(sourcesDir, 'deflated.zip'), makeZip([
+    { name: 'guide/', data: Buffer.alloc(0), method: 0 },
+    { name: 'guide/list.m3u8', data: Buffer.from(playlist), method: 8 }
+  ]));
+  fs.writeFileSync(path.join(root, 'secret.m3u'), playlist);
+  fs.symlinkSync(path.join(root, 'secret.m3u'), path.join(sourcesDir, 'link.m3u'));
+});
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('accepts URLs and paths as sources but no other schemes', () => {
+  assert.equal(isSourceSpec('http://example.com/a.m3u'), true);
+  assert.equal(isSourceSpec('file:///data/a.m3u'), true);
+  assert.equal(isSourceSpec('lists/a.m3u'), true);
+  assert.equal(isSourceSpec('ftp://example.com/a.m3u'), false);
+  assert.equal(isSourceSpec('javascript:alert(1)'), false);
+  assert.equal(isSourceSpec(''), false);
+});
+
+test('opens local files by relative, absolute and file:// paths inside the sources directory', async () => {
+  const absolute = path.join(sourcesDir, 'list.m3u');
+
+  for (const spec of ['list.m3u', absolute, pathToFileURL(absolute).href]) {
+    const source = await openSource(spec);
+    assert.equal(await readText(source.stream), playlist);
+    assert.match(source.etag, /^"\d+-\d+"$/);
+  }
+});
+
+test('refuses local files outside the sources directory', async () => {
+  const outside = path.join(root, 'secret.m3u');
+
+  for (const spec of ['../secret.m3u', 'sub/../../secret.m3u', outside, pathToFileURL(outside).href, 'link.m3u']) {
+    await assert.rejects(openSource(spec), (error) => {
+      assert.equal(error.message, 'Local sources must be inside the sources directory');
+      assert.equal(error.retryable, false);
+      return true;
+    }, spec);
+  }
+});
+
+test('reports an unchanged local file as not modified', async () => {
+  const { etag, stream } = await openSource('list.m3u');
+  stream.destroy();
+
+  assert.deepEqual(await openSource('list.m3u', { previous: { etag } }), { notModified: true });
+});
+
+test('decompresses gzip whatever the name', async () => {
+  const source = await openSource('list.m3u.gz');
+  assert.equal(await readText(source.stream), playlist);
+});
+
+test('extracts the playlist from stored and deflated zip archives', async () => {
+  assert.equal(await readText((await openSource('stored.zip')).stream), playlist);
+  assert.equal(await readText((await openSource('deflated.zip')).stream), playlist);
+});
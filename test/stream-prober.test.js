@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { probeStream, probeChannels, compareStreams, isChannelDead } = require('../stream-prober');
+
+let origin;
+let base;
+
+test.before(async () => {
+  origin = http.createServer((req, res) => {
+    switch (req.url) {
+      case '/live.ts':
+        res.setHeader('Content-Type', 'video/mp2t');
+        return res.end(Buffer.alloc(1024));
+      case '/index.m3u8':
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        return res.end('#EXTM3U\n#EXTINF:6.0,\nsegment1.ts\n');
+      case '/not-hls.m3u8':
+        return res.end('<html>Access denied</html>');
+      case '/moved.m3u8':
+        res.writeHead(302, { Location: '/index.m3u8' });
+        return res.end();
+      case '/hang.ts':
+        return;
+      default:
+        res.statusCode = 404;
+        return res.end('not found');
+    }
+  });
+  await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${origin.address().port}`;
+});
+
+test.after(() => {
+  origin.closeAllConnections();
+  origin.close();
+});
+
+test('reports a working stream with its time to first byte', async () => {
+  const result = await probeStream({ url: `${base}/live.ts` });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 200);
+  assert.equal(result.error, null);
+  assert.equal(typeof result.ttfb, 'number');
+  assert.equal(result.hls, null);
+});
+
+test('follows redirects and checks the HLS manifest', async () => {
+  const result = await probeStream({ url: `${base}/moved.m3u8` });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.status, 200);
+  assert.equal(result.hls, true);
+});
+
+test('fails HTTP errors and playlists that are not HLS', async () => {
+  const missing = await probeStream({ url: `${base}/missing.ts` });
+  assert.equal(missing.ok, false);
+  assert.equal(missing.status, 404);
+  assert.equal(missing.error, 'HTTP 404');
+
+  const invalid = await probeStream({ url: `${base}/not-hls.m3u8` });
+  assert.equal(invalid.ok, false);
+  assert.equal(invalid.hls, false);
+  assert.equal(invalid.error, 'Invalid HLS manifest');
+});
+
+test('times out streams that never answer', async () => {
+  const result = await probeStream({ url: `${base}/hang.ts` }, { timeout: 200 });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error, 'Timeout');
+});
+
+test('probes channels once and reuses fresh results', async () => {
+  const channels = [
+    { streamInfo: { urls: [{ url: `${base}/live.ts` }, { url: `${base}/gone.ts` }] } },
+    { streamInfo: { urls: [{ url: `${base}/gone.ts` }] } }
+  ];
+
+  assert.equal(await probeChannels(channels, { delay: 0 }), 2);
+  assert.equal(channels[0].streamInfo.urls[0].health.ok, true);
+  assert.equal(channels[0].streamInfo.urls[1].health.ok, false);
+  assert.equal(channels[1].streamInfo.urls[0].health, channels[0].streamInfo.urls[1].health);
+
+  assert.equal(await probeChannels(channels, { maxAge: 60000, delay: 0 }), 0);
+});
+
+test('ranks working streams by speed, then unchecked, then dead', () => {
+  const fast = { health: { ok: true, ttfb: 50 } };
+  const slow = { health: { ok: true, ttfb: 400 } };
+  const unchecked = {};
+  const dead = { health: { ok: false, ttfb: null } };
+
+  assert.deepEqual([dead, unchecked, slow, fast].sort(compareStreams), [fast, slow, unchecked, dead]);
+});
+
+test('treats a channel as dead only when every stream failed', () => {
+  const dead = { health: { ok: false } };
+  const alive = { health: { ok: true } };
+
+  assert.equal(isChannelDead({ streamInfo: { urls: [dead, dead] } }), true);
+  assert.equal(isChannelDead({ streamInfo: { urls: [dead, alive] } }), false);
+  assert.equal(isChannelDead({ streamInfo: { urls: [dead, {}] } }), false);
+  assert.equal(isChannelDead({ streamInfo: { urls: [] } }), false);
+});
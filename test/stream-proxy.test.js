@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { buildProxyUrl, verifyUrl, rewritePlaylist, proxyStream } = require('../stream-proxy');
+
+const makeProxyUrl = (url) => `http://proxy.local/p?u=${encodeURIComponent(url)}`;
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+test('rewrites relative and absolute playlist URIs through the proxy', () => {
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+    '#EXT-X-MAP:URI="/init.mp4"',
+    '#EXTINF:6.0,',
+    'segment1.ts?token=a',
+    '',
+    '#EXTINF:6.0,',
+    'https://cdn.example.com/segment2.ts'
+  ].join('\n');
+
+  const lines = rewritePlaylist(playlist, 'https://origin.example.com/live/index.m3u8', makeProxyUrl).split('\n');
+
+  assert.equal(lines[0], '#EXTM3U');
+  assert.equal(lines[1], `#EXT-X-KEY:METHOD=AES-128,URI="${makeProxyUrl('https://origin.example.com/live/key.bin')}"`);
+  assert.equal(lines[2], `#EXT-X-MAP:URI="${makeProxyUrl('https://origin.example.com/init.mp4')}"`);
+  assert.equal(lines[4], makeProxyUrl('https://origin.example.com/live/segment1.ts?token=a'));
+  assert.equal(lines[5], '');
+  assert.equal(lines[7], makeProxyUrl('https://cdn.example.com/segment2.ts'));
+});
+
+test('accepts only signatures this server handed out', () => {
+  const url = 'http://origin.example.com/live/index.m3u8';
+  const proxied = new URL(buildProxyUrl('http://host/proxy/tv%7Cbbc1_0/0', url));
+  const [signature, name] = proxied.pathname.split('/').slice(-2);
+
+  assert.equal(name, 'index.m3u8');
+  assert.equal(proxied.searchParams.get('u'), url);
+  assert.equal(verifyUrl(url, signature), true);
+  assert.equal(verifyUrl('http://evil.example.com/', signature), false);
+  assert.equal(verifyUrl(url, signature.replace(/.$/, c => (c === '0' ? '1' : '0'))), false);
+  assert.equal(verifyUrl(url, 'short'), false);
+  assert.equal(verifyUrl(url, undefined), false);
+});
+
+test('proxies playlists rewritten and survives an upstream reset mid-segment', { timeout: 5000 }, async (t) => {
+  const origin = http.createServer((req, res) => {
+    if (req.url === '/live/index.m3u8') {
+      res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+      return res.end('#EXTM3U\n#EXTINF:6.0,\nsegment1.ts\n');
+    }
+    if (req.url === '/live/segment1.ts') {
+      res.writeHead(200, { 'Content-Type': 'video/mp2t', 'Content-Length': 100000 });
+      res.write(Buffer.alloc(1000));
+      return setTimeout(() => req.socket.destroy(), 50);
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  const originUrl = await listen(origin);
+
+  const relayed = [];
+  const app = express();
+  app.get('/p', (req, res) => {
+    relayed.push(proxyStream(req, res, { url: req.query.u, headers: {}, makeProxyUrl }));
+  });
+  const proxy = http.createServer(app);
+  const proxyUrl = await listen(proxy);
+
+  t.after(() => {
+    origin.close();
+    proxy.close();
+  });
+
+  const get = (url) => fetch(`${proxyUrl}/p?u=${encodeURIComponent(url)}`);
+
+  const playlist = await get(`${originUrl}/live/index.m3u8`);
+  assert.equal(playlist.status, 200);
+  assert.equal(await playlist.text(), `#EXTM3U\n#EXTINF:6.0,\n${makeProxyUrl(`${originUrl}/live/segment1.ts`)}\n`);
+
+  const missing = await get(`${originUrl}/missing.ts`);
+  assert.equal(missing.status, 404);
+
+  const segment = await get(`${originUrl}/live/segment1.ts`);
+  assert.equal(segment.status, 200);
+  await assert.rejects(segment.arrayBuffer());
+
+  // Every relay settled and the server still answers
+  await Promise.all(relayed);
+  assert.equal((await get(`${originUrl}/live/index.m3u8`)).status, 200);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { detectQuality, parseMasterPlaylist, probeVariants, getQuality, describeVariant, compareQuality } = require('../stream-quality');
+
+const master = fs.readFileSync(path.join(__dirname, 'fixtures', 'master.m3u8'), 'utf8');
+
+test('detects quality from channel names', () => {
+  assert.equal(detectQuality('Sky Cinema UHD'), '4K');
+  assert.equal(detectQuality('Rai 1 1080p'), 'FHD');
+  assert.equal(detectQuality('BBC One FHD'), 'FHD');
+  assert.equal(detectQuality('ITV 720'), 'HD');
+  assert.equal(detectQuality('CNN HD'), 'HD');
+  assert.equal(detectQuality('Channel 5 SD'), 'SD');
+  assert.equal(detectQuality('HDTV News'), null);
+});
+
+test('reads variants from a master playlist, best first', () => {
+  const variants = parseMasterPlaylist(master, 'https://origin.example.com/live/master.m3u8?token=abc');
+
+  assert.deepEqual(variants.map(variant => variant.url), [
+    'https://cdn.example.com/live/high/index.m3u8',
+    'https://origin.example.com/live/mid/index.m3u8',
+    'https://origin.example.com/live/low/index.m3u8',
+    'https://origin.example.com/live/audio.m3u8'
+  ]);
+  assert.deepEqual(variants.map(variant => variant.quality), ['FHD', 'HD', 'SD', null]);
+  assert.equal(variants[0].bandwidth, 5200000);
+  assert.equal(variants[0].codecs, 'avc1.640028,mp4a.40.2');
+  assert.equal(describeVariant(variants[0]), '1920×1080 · 5.2 Mbps · H.264/AAC');
+  assert.equal(describeVariant(variants[1]), '1280×720 · 2.8 Mbps · H.265/E-AC-3');
+});
+
+test('returns no variants for media playlists', () => {
+  assert.deepEqual(parseMasterPlaylist('#EXTM3U\n#EXTINF:6.0,\nsegment1.ts\n', 'https://origin.example.com/live.m3u8'), []);
+});
+
+test('orders by the preferred quality, then the nearest lower one', () => {
+  const qualities = ['4K', null, 'SD', 'FHD', 'HD'];
+
+  assert.deepEqual([...qualities].sort((a, b) => compareQuality(a, b, 'HD')), ['HD', 'SD', 'FHD', '4K', null]);
+  assert.deepEqual([...qualities].sort((a, b) => compareQuality(a, b, '4K')), ['4K', 'FHD', 'HD', 'SD', null]);
+  assert.deepEqual([...qualities].sort((a, b) => compareQuality(a, b, '')), qualities);
+});
+
+test('shares one probe between simultaneous requests and keeps the name quality until it finishes', async (t) => {
+  let requests = 0;
+  const origin = http.createServer((req, res) => {
+    requests++;
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    setTimeout(() => res.end(master), 50);
+  });
+  await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+  t.after(() => origin.close());
+
+  const stream = { url: `http://127.0.0.1:${origin.address().port}/live/master.m3u8`, quality: 'SD' };
+  const probes = [probeVariants([stream]), probeVariants([stream]), probeVariants([stream])];
+
+  assert.equal(getQuality(stream), 'SD');
+  await Promise.all(probes);
+  assert.equal(requests, 1);
+  assert.equal(getQuality(stream), 'FHD');
+
+  await probeVariants([stream]);
+  assert.equal(requests, 1);
+});
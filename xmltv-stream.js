@@ -0,0 +1,148 @@
+const sax = require('sax');
+const { parseEPGDate } = require('./epg-index');
+
+const DEFAULT_PAST_HOURS = parseInt(process.env.EPG_PAST_HOURS) || 2;
+const DEFAULT_FUTURE_HOURS = parseInt(process.env.EPG_FUTURE_HOURS) || 48;
+
+// Stream an XMLTV document into an EPGIndex without holding it in memory.
+// Only programmes overlapping [now - pastHours, now + futureHours] are kept.
+// Resolves with counts once the stream ends; malformed markup is skipped
+// rather than aborting the whole guide, and a failed download is reported as
+// `error` alongside the counts read so far. `options.onProgress` is called
+// with the bytes read so far as data arrives.
+function parseXMLTVStream(input, index, options = {}) {
+  const now = Date.now();
+  const from = now - (options.pastHours ?? DEFAULT_PAST_HOURS) * 60 * 60 * 1000;
+  const to = now + (options.futureHours ?? DEFAULT_FUTURE_HOURS) * 60 * 60 * 1000;
+
+  const stats = { channels: 0, programmes: 0, skipped: 0, bytes: 0 };
+
+  return new Promise((resolve) => {
+    const parser = sax.createStream(false, { lowercase: true, trim: true, normalize: true });
+
+    let channel = null;
+    let programme = null;
+    let field = null;
+    let text = '';
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      resolve(stats);
+    };
+
+    parser.on('opentag', (node) => {
+      const attrs = node.attributes;
+
+      switch (node.name) {
+        case 'channel':
+          channel = { id: attrs.id, names: [], icon: null };
+          break;
+        case 'programme': {
+          const start = parseEPGDate(attrs.start);
+          const stop = parseEPGDate(attrs.stop);
+
+          if (!start || !stop || stop.getTime() < from || start.getTime() > to) {
+            // Outside the window: children are still parsed, but dropped
+            stats.skipped++;
+            programme = false;
+            break;
+          }
+
+          programme = {
+            channel: attrs.channel,
+            start: start.getTime(),
+            stop: stop.getTime(),
+            title: '',
+            description: '',
+            icon: null,
+            categories: []
+          };
+          break;
+        }
+        case 'display-name':
+        case 'title':
+        case 'desc':
+        case 'category':
+          field = node.name;
+          text = '';
+          break;
+        case 'icon':
+          if (programme && !programme.icon) programme.icon = attrs.src || null;
+          else if (channel && !programme && !channel.icon) channel.icon = attrs.src || null;
+          break;
+      }
+    });
+
+    parser.on('text', (value) => {
+      if (field) text += value;
+    });
+
+    parser.on('cdata', (value) => {
+      if (field) text += value;
+    });
+
+    parser.on('closetag', (name) => {
+      switch (name) {
+        case 'display-name':
+          if (channel && text) channel.names.push(text);
+          field = null;
+          break;
+        case 'title':
+          if (programme && !programme.title) programme.title = text;
+          field = null;
+          break;
+        case 'desc':
+          if (programme && !programme.description) programme.description = text;
+          field = null;
+          break;
+        case 'category':
+          if (programme && text && !programme.categories.includes(text)) programme.categories.push(text);
+          field = null;
+          break;
+        case 'channel':
+          if (channel) {
+            index.addChannel(channel);
+            stats.channels++;
+          }
+          channel = null;
+          break;
+        case 'programme':
+          if (programme) {
+            index.addProgramme(programme);
+            stats.programmes++;
+          }
+          programme = null;
+          break;
+      }
+    });
+
+    parser.on('error', (error) => {
+      // Recover from bad markup (stray entities, unescaped ampersands)
+      console.log('⚠️ XMLTV parse warning:', error.message.split('\n')[0]);
+      parser._parser.error = null;
+      parser._parser.resume();
+    });
+
+    parser.on('end', finish);
+
+    input.on('data', (chunk) => {
+      stats.bytes += chunk.length;
+      if (options.onProgress) options.onProgress(stats.bytes);
+    });
+    input.on('error', (error) => {
+      console.error('❌ XMLTV stream error:', error.message);
+      stats.error = error.message;
+      finish();
+    });
+    input.on('close', finish);
+
+    input.pipe(parser);
+  });
+}
+
+module.exports = {
+  parseXMLTVStream,
+  DEFAULT_FUTURE_HOURS
+};
@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { parseCatchup } = require('./catchup');
+
+// Xtream Codes panels: live channels come from player_api.php and are mapped
+// into the same channel shape parseM3U() produces
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+// "panel.example:8080/" or "http://panel.example/player_api.php" -> "http://panel.example:8080"
+function normalizeServer(server) {
+  let normalized = String(server || '').trim().replace(/\/+$/, '').replace(/\/(player_api|get|xmltv)\.php.*$/i, '');
+  if (normalized && !/^https?:\/\//i.test(normalized)) normalized = `http://${normalized}`;
+  return normalized;
+}
+
+function normalizeXtreamSource(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  const source = {
+    server: normalizeServer(raw.server),
+    username: String(raw.username || '').trim(),
+    password: String(raw.password || '').trim()
+  };
+
+  return source.server && source.username && source.password ? source : null;
+}
+
+async function callApi(source, params = {}, signal) {
+  const response = await axios.get(`${source.server}/player_api.php`, {
+    timeout: 30000,
+    headers: REQUEST_HEADERS,
+    signal,
+    params: { username: source.username, password: source.password, ...params }
+  });
+  return response.data;
+}
+
+function getXmltvUrl(source) {
+  return `${source.server}/xmltv.php?username=${encodeURIComponent(source.username)}&password=${encodeURIComponent(source.password)}`;
+}
+
+function getLiveUrl(source, streamId, extension) {
+  return `${source.server}/live/${encodeURIComponent(source.username)}/${encodeURIComponent(source.password)}/${streamId}.${extension}`;
+}
+
+// Archive template for channels with tv_archive, in catch-up placeholder syntax
+function getTimeshiftTemplate(source, streamId) {
+  return `${source.server}/timeshift/${encodeURIComponent(source.username)}/${encodeURIComponent(source.password)}/{duration:60}/{Y}-{m}-{d}:{H}-{M}/${streamId}.ts`;
+}
+
+// Load one panel's live streams as channels. `sourceIndex` continues the
+// numbering after the M3U playlists so ids stay unique; `xtreamIndex` is the
+// panel's position in the config, kept on each channel for get_short_epg.
+// detectQuality is passed in so stream labels match the M3U parser; aborting
+// `signal` cancels the API calls. Only channels passing `filter` are kept, at
+// most `limit` of them (`truncated` says whether there were more).
+async function loadXtreamChannels(source, sourceIndex, { xtreamIndex, detectQuality, signal, filter = null, limit = Infinity }) {
+  const account = await callApi(source, {}, signal);
+
+  if (!account || !account.user_info || account.user_info.auth === 0) {
+    const error = new Error('Xtream authentication failed');
+    error.retryable = false;
+    throw error;
+  }
+
+  const formats = account.user_info.allowed_output_formats || [];
+  const extension = formats.length === 0 || formats.includes('m3u8') ? 'm3u8' : 'ts';
+
+  const [categories, streams] = await Promise.all([
+    callApi(source, { action: 'get_live_categories' }, signal),
+    callApi(source, { action: 'get_live_streams' }, signal)
+  ]);
+
+  const categoryNames = new Map();
+  for (const category of Array.isArray(categories) ? categories : []) {
+    categoryNames.set(String(category.category_id), category.category_name);
+  }
+
+  const channels = [];
+  const genres = new Set();
+  let truncated = false;
+
+  for (const stream of Array.isArray(streams) ? streams : []) {
+    if (!stream || stream.stream_id === undefined) continue;
+
+    const name = String(stream.name || 'Unknown').trim();
+    const hasTvgId = !!stream.epg_channel_id;
+    const tvgId = hasTvgId ? String(stream.epg_channel_id) : name.toLowerCase().replace(/[^\w]/g, '_');
+    const group = categoryNames.get(String(stream.category_id)) || 'Other Channels';
+
+    // Panels give HD, SD and backup feeds the same epg_channel_id, so the
+    // channel ID comes from stream_id and tvgId is only used for the guide
+    const channel = {
+      id: `tv|xtream_${stream.stream_id}_${sourceIndex}`,
+      name: name,
+      tvgId: tvgId,
+      chno: parseInt(stream.num) || null,
+      logo: stream.stream_icon || null,
+      group: group,
+      sourceIndex: sourceIndex,
+      hasTvgId: hasTvgId,
+      xtream: { index: xtreamIndex, streamId: stream.stream_id },
+      catchup: parseInt(stream.tv_archive) === 1
+        ? parseCatchup('default', stream.tv_archive_duration, getTimeshiftTemplate(source, stream.stream_id))
+        : null,
+      streamInfo: {
+        urls: [{
+          url: getLiveUrl(source, stream.stream_id, extension),
+          name: name,
+          sourceIndex: sourceIndex,
+          quality: detectQuality(name),
+          headers: {},
+          kodiProps: {}
+        }],
+        tvg: { id: tvgId, name: name }
+      }
+    };
+
+    if (filter && !filter(channel)) continue;
+
+    if (channels.length >= limit) {
+      truncated = true;
+      break;
+    }
+
+    channels.push(channel);
+    genres.add(group);
+  }
+
+  return { channels, genres: Array.from(genres), truncated };
+}
+
+function decodeBase64(value) {
+  if (!value) return '';
+  try {
+    return Buffer.from(value, 'base64').toString('utf8');
+  } catch (e) {
+    return value;
+  }
+}
+
+// Short EPG straight from the panel, for channels the XMLTV guide misses.
+// Returns programmes in the EPGIndex shape.
+async function getShortEpg(source, streamId, limit = 20) {
+  const data = await callApi(source, { action: 'get_short_epg', stream_id: streamId, limit });
+  const listings = data && Array.isArray(data.epg_listings) ? data.epg_listings : [];
+
+  return listings.map(listing => ({
+    start: parseInt(listing.start_timestamp) * 1000,
+    stop: parseInt(listing.stop_timestamp) * 1000,
+    title: decodeBase64(listing.title),
+    description: decodeBase64(listing.description),
+    icon: null
+  })).filter(p => p.start && p.stop).sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  normalizeXtreamSource,
+  loadXtreamChannels,
+  getShortEpg,
+  getXmltvUrl
+};